@@ -1,3 +1,12 @@
 export {fetchEx as default, fetchEx} from '#src/api';
 export * from '#src/api.native';
 export * from '#src/api.util';
+export {bodyParsers, parseMediaType} from '#src/body-parsers';
+export {MemoryCache} from '#src/cache';
+export {CircuitBreaker} from '#src/circuit-breaker';
+export * from '#src/client';
+export * from '#src/errors';
+export {HARRecorder, harRecorder} from '#src/har';
+export {Limiter} from '#src/limiter';
+export {parseLinkHeader} from '#src/paginate';
+export {createReplayTransport} from '#src/replay';
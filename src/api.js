@@ -1,10 +1,25 @@
-import {defaults, isEmpty, isFunction, isNil, sum} from 'lodash-es';
-import {fetch, Request} from '#src/api.native';
+import {randomUUID} from 'node:crypto';
+import {defaults, isEmpty, isFunction, isNil, omit, pick, sum} from 'lodash-es';
+import {fetch, Headers, Request, Response} from '#src/api.native';
 import {toHeaders} from '#src/api.util';
-import {isServerErrorCode} from '#src/http-codes';
+import {parseRetryAfter, retryDelay} from '#src/backoff';
+import {bufferBody, isBlob, isReplayableBody, trackBody, trackedBlob} from '#src/body';
+import {bodyParsers, parseBody} from '#src/body-parsers';
+import {cachedFetch, defaultCache} from '#src/cache';
+import {dedupedFetch} from '#src/dedupe';
+import {DeadlineError, HTTPError, QueueFullError, ResponseValidationError} from '#src/errors';
+import {harDocument, harEntry, harRecorder} from '#src/har';
+import {hedgeDelay, hedgedSend, recordLatency} from '#src/hedge';
+import {isServerErrorCode, isSuccessCode, NO_CONTENT, statusKind, TOO_MANY_REQUESTS} from '#src/http-codes';
 import * as httpMethods from '#src/http-methods';
 import * as mimeTypes from '#src/mime-types';
-import {assign, countOf, defineProperties, ms, sleep} from '#src/util';
+import {paginate} from '#src/paginate';
+import {defaultRedact, redactRequest, redactURL} from '#src/redact';
+import {parseEvents, parseNDJSON, readLines} from '#src/streams';
+import {Telemetry} from '#src/telemetry';
+import {timingAgent} from '#src/timings';
+import {anySignal, assign, bytes, countOf, defineProperties, idleTimer, ms, sleep} from '#src/util';
+import {issueSummary, validateBody} from '#src/validation';
 
 export async function fetchEx(url, options) {
 
@@ -19,13 +34,44 @@ export async function fetchEx(url, options) {
     return request.fetch();
 }
 
+fetchEx.paginate = (url, options) => paginate(fetchEx, url, options);
+
+const networkErrorCodes = [
+    // Source: https://github.com/sindresorhus/got/blob/main/documentation/7-retry.md
+    'EADDRINUSE', // Could not bind to any free port.
+    'EAI_AGAIN', // DNS lookup timed out.
+    'ECONNREFUSED', // The connection was refused by the server.
+    'ECONNRESET', // The connection was forcibly closed.
+    'ENETUNREACH', // No internet connection.
+    'ENOTFOUND', // Could not resolve the hostname to an IP address.
+    'EPIPE', // The remote side of the stream being written has been closed.
+    'ETIMEDOUT', // A connect or send request timeout.
+];
+
+/*
+ * Least extension.deadline budget, in ms, worth starting a retry with.
+ */
+const minDeadlineBudget = 20;
+
 class FetchEx {
 
+    #abortError;
+    #deadlineExceeded = false;
+    #harEntries = [];
+    #idempotencyKey;
+    #limiterKey;
+    #redact;
+    #releaseProbe;
+    #replayBlocked;
+    #signal;
+    #telemetry;
+
     constructor(fetchArgs, extension={}) {
 
         const defaultExtension = {
             retry: {
                 delay: '100 ms',
+                errorCodes: [...networkErrorCodes],
                 limit: 1,
                 methods: [
                     httpMethods.DELETE,
@@ -45,50 +91,219 @@ class FetchEx {
 
         fetchArgs[1] ||= {};
 
-        if (extension.timeout) {
-            extension.timeout = ms(extension.timeout);
-            if (fetchArgs[1].signal) {
-                throw new TypeError('extension.timeout cannot be used with options.signal');
-            }
+        for (const name of ['timeout', 'deadline', 'idleTimeout']) {
+            extension[name] &&= ms(extension[name]);
         }
 
         assign(this, {
             extension,
             fetchArgs,
         });
+
+        this.#redact = extension.redact ?? defaultRedact;
     }
 
     async fetch() {
 
+        const {meter, tracer} = this.extension;
+
+        if (! tracer && ! meter) {
+            return this.#fetch();
+        }
+
+        const [input] = this.fetchArgs;
+
+        this.#telemetry = new Telemetry(this.extension, {
+            method: this.#method(),
+            redact: this.#redact,
+            url: input.url ?? String(input),
+        });
+
+        try {
+            const response = await this.#fetch();
+            this.#telemetry.end();
+            return response;
+        }
+        catch (error) {
+            this.#telemetry.end(error);
+            throw error;
+        }
+    }
+
+    /*
+     * Release a circuit breaker probe left unrecorded by a throw.
+     */
+    async #fetch() {
+
+        try {
+            return await this.#fetchAttempts();
+        }
+        finally {
+            this.#releaseProbe?.();
+        }
+    }
+
+    async #fetchAttempts() {
+
         const {extension} = this;
         const retryConfig = extension.retry;
         const runLimit = (retryConfig?.limit || 0) + 1;
         const runs = [];
 
+        const deadlineAt = extension.deadline && (Date.now() + extension.deadline);
+
+        this.#idempotencyKey = await this.#resolveIdempotencyKey();
+
+        if (runLimit > 1) {
+            await this.#prepareReplayableBody();
+        }
+
+        const {circuitBreaker, limiter} = extension;
+        const harMaxBodySize = (extension.debug || harRecorder.recording)
+            && bytes(extension.debug?.maxBodySize ?? harRecorder.maxBodySize);
+        const requestURL = this.fetchArgs[0].url ?? String(this.fetchArgs[0]);
+        const circuitKey = circuitBreaker?.keyOf(requestURL, this.fetchArgs[1]);
+        this.#limiterKey = limiter?.keyOf(requestURL, this.fetchArgs[1]);
+
         let run;
+        let attempt = 0;
+        let delay = 0;
+        let releaseSlot;
 
         do {
+            const retryHooks = {};
+            let release;
+
             if (run?.retryable) {
-                await sleep(retryConfig.delay);
+                /*
+                 * The response retried is discarded.
+                 */
+                releaseSlot?.();
+
+                delay = await retryDelay(retryConfig, attempt - 1, run, delay);
+
+                if (deadlineAt && Date.now() + delay + minDeadlineBudget > deadlineAt) {
+                    /*
+                     * No budget left for another attempt after sleeping.
+                     */
+                    this.#deadlineExceeded = true;
+                    break;
+                }
+
+                await this.#runHooks('beforeRetry', retryHooks, {
+                    attempt: attempt + 1,
+                    error: run.error,
+                    request: this.request,
+                    response: run.error ? undefined : this.response,
+                    run,
+                });
+
+                try {
+                    await sleep(delay, {
+                        signal: this.fetchArgs[1].signal,
+                    });
+                }
+                catch (error) {
+                    /*
+                     * User-specified abort while waiting to retry.
+                     */
+                    error.reason = this.fetchArgs[1].signal.reason;
+                    this.#abortError = error;
+                    break;
+                }
             }
 
-            const startTime = Date.now();
-            run = {};
+            if (circuitBreaker) {
+                try {
+                    if (circuitBreaker.acquire(circuitKey)) {
+                        this.#releaseProbe = () => circuitBreaker.release(circuitKey);
+                    }
+                }
+                catch (error) {
+                    if (! run) {
+                        // Fail fast before the first attempt.
+                        throw error;
+                    }
+                    run.giveUp = error.message;
+                    break;
+                }
+            }
+
+            let startTime = Date.now();
+            let fetchError;
+            let requestBody;
+            attempt++;
+            run = {
+                delay,
+                ...retryHooks,
+            };
+
+            const traceparent = this.#telemetry?.startAttempt(attempt);
 
             try {
-                if (extension.timeout) {
+                const remaining = deadlineAt && (deadlineAt - Date.now());
+                const deadlineBound = deadlineAt
+                    && (! extension.timeout || remaining < extension.timeout);
+
+                this.#signal = this.fetchArgs[1].signal;
+
+                if (extension.timeout || extension.idleTimeout || deadlineBound) {
                     const controller = new AbortController();
-                    this.fetchArgs[1].signal = controller.signal;
-                    run.timeout = setTimeout(() => {
-                        controller.abort(`Timeout <${extension.timeout} ms>`);
-                    }, extension.timeout);
+
+                    if (this.#signal) {
+                        /*
+                         * Combine with user-specified signal so that a user abort
+                         * still ends the attempt (and the retry loop).
+                         */
+                        run.signal = anySignal([this.#signal, controller.signal]);
+                        this.#signal = run.signal.signal;
+                    }
+                    else {
+                        this.#signal = controller.signal;
+                    }
+
+                    if (extension.timeout || deadlineBound) {
+                        run.timeout = setTimeout(() => {
+                            if (deadlineBound) {
+                                this.#deadlineExceeded = true;
+                                controller.abort(`Deadline <${extension.deadline} ms>`);
+                            }
+                            else {
+                                controller.abort(`Timeout <${extension.timeout} ms>`);
+                            }
+                        }, deadlineBound ? remaining : extension.timeout);
+                    }
+
+                    if (extension.idleTimeout) {
+                        /*
+                         * Touched by upload progress, until the response.
+                         * Not running while queued by extension.limiter.
+                         */
+                        run.idle = idleTimer(extension.idleTimeout,
+                            () => controller.abort(`Idle timeout <${extension.idleTimeout} ms>`), {
+                                paused: Boolean(limiter),
+                            });
+                    }
                 }
 
                 const [fetchURL] = this.fetchArgs;
                 const fetchOpts = {
                     ...this.fetchArgs[1],
-                    ...(extension.agent && {
-                        agent: extension.agent,
+                    ...(isFunction(this.fetchArgs[1].body) && {
+                        body: await this.fetchArgs[1].body({
+                            attempt,
+                        }),
+                    }),
+                    signal: this.#signal,
+                    agent: timingAgent(extension.agent ?? this.fetchArgs[1].agent, timings => {
+                        run.timings = timings;
+                    }),
+                    ...(harMaxBodySize && {
+                        /*
+                         * Buffered by response.clone() so that the HAR capture
+                         * is not held up by an unread response body.
+                         */
+                        highWaterMark: Math.max(16_384, harMaxBodySize + 1),
                     }),
                 };
 
@@ -103,26 +318,93 @@ class FetchEx {
                     }
                 }
 
+                /*
+                 * Set on a copy, as the caller may reuse its Headers.
+                 */
+                if (this.#idempotencyKey) {
+                    fetchOpts.headers = new Headers(fetchOpts.headers);
+                    fetchOpts.headers.set('idempotency-key', this.#idempotencyKey);
+                }
+
+                if (traceparent) {
+                    fetchOpts.headers = new Headers(fetchOpts.headers);
+                    fetchOpts.headers.set('traceparent', traceparent);
+                }
+
+                requestBody = fetchOpts.body;
+
+                if (! isNil(fetchOpts.body) && (extension.onUploadProgress || run.idle)) {
+                    assign(fetchOpts, await this.#trackUpload(fetchURL, fetchOpts, run.idle));
+                }
+
+                const hookContext = {
+                    attempt,
+                    run,
+                };
+
                 this.request = new Request(fetchURL, fetchOpts);
-                this.response = await fetch(this.request);
 
-                await this.#evaluate(run);
+                if (limiter) {
+                    /*
+                     * Queued subject to the attempt signal, i.e. extension.timeout
+                     * and extension.deadline. The slot is held until the body
+                     * has been read or cancelled, as is the connection.
+                     */
+                    const queueStartTime = Date.now();
+
+                    release = await limiter.acquire(this.#limiterKey, {
+                        priority: extension.priority,
+                        signal: this.#signal,
+                    });
+
+                    startTime = Date.now();
+                    run.queueTime = startTime - queueStartTime;
+                    run.idle?.touch();
+                }
+
+                this.request = await this.#runHooks('beforeRequest', run,
+                    this.request, hookContext);
+
+                this.response = await this.#runHooks('afterResponse', run,
+                    this.#trackDownload(await this.#hedgedSend(this.request, run)), {
+                        ...hookContext,
+                        request: this.request,
+                    });
             }
             catch (error) {
-                await this.#evaluate(run, error);
+                fetchError = error;
             }
             finally {
+                if (fetchError || ! release) {
+                    release?.();
+                }
+                else {
+                    releaseSlot = FetchEx.#releaseWithBody(this.response, release);
+                }
+                run.idle?.clear();
+                delete run.idle;
                 if (run.timeout) {
                     clearTimeout(run.timeout);
                     delete run.timeout;
                 }
+                if (run.signal) {
+                    run.signal.clear();
+                    delete run.signal;
+                }
+            }
+
+            await this.#evaluate(run, fetchError, attempt);
+
+            if (run.hedgeLoser) {
+                runs.push(run.hedgeLoser);
+                delete run.hedgeLoser;
             }
 
             runs.push(defineProperties(run, {
                 ...(extension.debug && {
                     request: {
                         enumerable: true,
-                        value: this.request,
+                        value: redactRequest(this.request, this.#redact),
                     },
                 }),
                 time: {
@@ -135,88 +417,629 @@ class FetchEx {
                     },
                 },
             }));
+
+            this.#telemetry?.endAttempt(run);
+
+            if (harMaxBodySize) {
+                const entry = harEntry({
+                    attempt,
+                    maxBodySize: harMaxBodySize,
+                    redact: this.#redact,
+                    request: this.request,
+                    requestBody,
+                    response: fetchError ? undefined : this.response,
+                    run,
+                    startedDateTime: new Date(startTime),
+                });
+                this.#harEntries.push(entry);
+                harRecorder.add(entry);
+            }
+            if (fetchError instanceof QueueFullError) {
+                /*
+                 * Not sent, so no outcome for the circuit.
+                 */
+                this.#releaseProbe?.();
+            }
+            else {
+                circuitBreaker?.record(circuitKey, run.failed);
+            }
+            this.#releaseProbe = undefined;
         }
-        while (run.retryable && runs.length < runLimit);
+        while (run.retryable && ! run.giveUp && attempt < runLimit);
 
         const stats = this.#stats(runs);
 
+        let error = this.#abortError || run.error;
+
+        if (this.#deadlineExceeded) {
+            error = new DeadlineError(stats.fail, {
+                cause: run.error,
+                deadline: extension.deadline,
+                stats,
+            });
+        }
+
+        if (! error && this.#isHttpError(run.status)) {
+            const response = this.#augmentResponse(stats);
+            error = new HTTPError(response, {
+                body: await response.extension.body()
+                    .catch(() => undefined),
+                redact: this.#redact,
+                request: this.request,
+                stats,
+            });
+        }
+
+        error &&= await this.#runHooks('beforeError', run, error, {
+            request: this.request,
+            response: run.error ? undefined : this.response,
+            stats,
+        });
+
+        this.#telemetry?.complete(stats);
         extension.onComplete?.(stats);
 
-        for (const status of ['fail', 'ok', 'warn']) {
-            if (stats[status] && isFunction(extension.log?.[status])) {
-                extension.log[status](stats[status]);
+        this.#log(stats);
+
+        if (error) {
+            releaseSlot?.();
+            throw error;
+        }
+
+        return this.#augmentResponse(stats);
+    }
+
+    /*
+     * Run extension.hooks[name] in series. A hook may return a
+     * replacement for `subject`. Total time is recorded on `run.hooks`.
+     */
+    async #runHooks(name, run, subject, context) {
+
+        const hooks = this.extension.hooks?.[name];
+
+        if (isEmpty(hooks)) {
+            return subject;
+        }
+
+        const startTime = Date.now();
+
+        for (const hook of hooks) {
+            subject = (await hook(subject, context)) ?? subject;
+        }
+
+        run.hooks = {
+            ...run.hooks,
+            [name]: Date.now() - startTime,
+        };
+
+        return subject;
+    }
+
+    /*
+     * Send via extension.dedupe and extension.cache if enabled,
+     * recording their outcome on `run`, and extension.transport
+     * which defaults to node-fetch. A hedge request bypasses
+     * extension.dedupe, which would join the request it hedges.
+     */
+    async #send(request, run, isHedge=false) {
+
+        const {cache, dedupe, transport=fetch} = this.extension;
+
+        let send = transport;
+
+        if (cache) {
+            send = async it => {
+                const result = await cachedFetch(it, cache === true ? defaultCache : cache, transport);
+                if (result.cache) {
+                    run.cache = result.cache;
+                }
+                return result.response;
+            };
+        }
+
+        if (dedupe && ! isHedge) {
+            const result = await dedupedFetch(request, dedupe === true ? {} : dedupe, send);
+            if (result.dedupe) {
+                run.dedupe = result.dedupe;
+            }
+            return result.response;
+        }
+
+        return send(request);
+    }
+
+    /*
+     * Send with extension.hedge if enabled for the request method.
+     * The losing hedge request is recorded as `run.hedgeLoser`.
+     */
+    async #hedgedSend(request, run) {
+
+        const {hedge, limiter, priority, retry} = this.extension;
+
+        if (! hedge || ! retry?.methods?.includes(request.method)) {
+            return this.#send(request, run);
+        }
+
+        const key = new URL(request.url).origin;
+        const hedgeAfter = hedgeDelay(hedge, key);
+
+        /*
+         * A response with a retryable status only wins if the other request
+         * fails too. The hedge request takes a limiter slot of its own while
+         * in flight, the attempt's slot being held for the winning response.
+         */
+        const {loser, response, startTime, winner} = await hedgedSend(request, hedgeAfter, async (it, record, isHedge) => {
+
+            if (! isHedge || ! limiter) {
+                return this.#send(it, record, isHedge);
             }
+
+            const release = await limiter.acquire(this.#limiterKey, {
+                priority,
+                signal: it.signal,
+            });
+
+            try {
+                return await this.#send(it, record, isHedge);
+            }
+            finally {
+                release();
+            }
+        }, it => ! this.#isRetryableStatus(it.status));
+
+        /*
+         * Latency of the attempt, from its first request.
+         */
+        recordLatency(key, Date.now() - startTime);
+        assign(run, omit(winner, 'startTime'));
+
+        if (loser) {
+            const {startTime: loserStartTime, ...loserRecord} = loser;
+            run.hedgeLoser = {
+                ...loserRecord,
+                delay: 0,
+                time: Date.now() - loserStartTime,
+            };
         }
 
-        if (run.error) {
-            throw run.error;
+        return response;
+    }
+
+    /*
+     * Stream the request body through trackBody() for extension.onUploadProgress
+     * and idle detection, as a trackedBlob() so that node-fetch does not tee it.
+     * Encoded with Request for the content-type and content of e.g. FormData,
+     * which is read into a Blob, whereas a Blob is streamed as is.
+     */
+    async #trackUpload(url, options, idle) {
+
+        const request = new Request(url, options);
+        const {headers} = request;
+
+        let source = request.body;
+
+        if (isBlob(options.body)) {
+            source = options.body;
+        }
+        else if (isReplayableBody(options.body)) {
+            source = await request.blob();
+        }
+
+        const total = Number(headers.get('content-length')) || source.size || undefined;
+
+        return {
+            body: trackedBlob(source, {
+                idle,
+                onProgress: this.extension.onUploadProgress,
+                size: total,
+                total,
+            }),
+            headers,
+        };
+    }
+
+    /*
+     * Stream the response body through trackBody() for extension.onDownloadProgress
+     * and extension.idleTimeout, timing only reads from the network. A stalled body
+     * is destroyed rather than retried, as the response is already with the caller.
+     * `total` is unknown for content-encoding as the body is decoded.
+     */
+    #trackDownload(response) {
+
+        const {idleTimeout, onDownloadProgress} = this.extension;
+
+        if (! response.body || ! (idleTimeout || onDownloadProgress)) {
+            return response;
+        }
+
+        const {headers, redirected, status, statusText, url} = response;
+
+        const idle = idleTimeout && idleTimer(idleTimeout, () => body.destroy(
+            new DOMException(`Idle timeout <${idleTimeout} ms>`, 'AbortError')), {
+            paused: true,
+        });
+
+        const body = trackBody(response.body, {
+            idle,
+            idleReads: true,
+            onProgress: onDownloadProgress,
+            total: headers.has('content-encoding')
+                ? undefined
+                : Number(headers.get('content-length')) || undefined,
+        });
+
+        if (idle) {
+            body.once('close', idle.clear);
         }
 
-        return this.#augmentResponse(runs);
+        return new Response(body, {
+            counter: redirected ? 1 : 0,
+            headers,
+            highWaterMark: response.highWaterMark,
+            status,
+            statusText,
+            url,
+        });
     }
 
-    #augmentResponse(runs) {
+    /*
+     * Buffer a stream body so it can be resent on retry,
+     * otherwise record why retries are blocked. Not buffered
+     * when no retry is possible, as the body of e.g. a large
+     * upload would be held in memory for nothing: neither a
+     * status retry of the method, nor an error or timeout retry.
+     */
+    async #prepareReplayableBody() {
+
+        const {body} = this.fetchArgs[1];
+        const {idleTimeout, timeout} = this.extension;
+        const {errorCodes, maxBufferedBodySize, methods, shouldRetry} = this.extension.retry;
+        const method = this.#method();
+
+        if (isFunction(body) || isReplayableBody(body)) {
+            return;
+        }
+
+        if (! methods.includes(method)
+            && ! (this.#idempotencyKey && method === httpMethods.POST)
+            && isEmpty(errorCodes)
+            && ! (timeout || idleTimeout)
+            && ! isFunction(shouldRetry)) {
+            this.#replayBlocked = `request body is a stream and ${method} is not retried`;
+            return;
+        }
+
+        if (! maxBufferedBodySize) {
+            this.#replayBlocked = 'request body is a stream and retry.maxBufferedBodySize is not set';
+            return;
+        }
+
+        const buffered = await bufferBody(body, bytes(maxBufferedBodySize));
+
+        this.fetchArgs[1].body = buffered.body;
+
+        if (! buffered.replayable) {
+            this.#replayBlocked = `request body exceeds retry.maxBufferedBodySize <${maxBufferedBodySize}>`;
+        }
+    }
+
+    #method() {
+
+        const [input, options] = this.fetchArgs;
+
+        return (options.method ?? input.method ?? httpMethods.GET).toUpperCase();
+    }
+
+    async #resolveIdempotencyKey() {
+
+        const {idempotencyKey} = this.extension;
+
+        if (! idempotencyKey) {
+            return;
+        }
+
+        const existing = toHeaders(this.fetchArgs[1].headers)
+            .get('idempotency-key');
+
+        if (existing) {
+            return existing;
+        }
+
+        if (isFunction(idempotencyKey)) {
+            return idempotencyKey(...this.fetchArgs);
+        }
+
+        return idempotencyKey === true
+            ? randomUUID()
+            : String(idempotencyKey);
+    }
+
+    #augmentResponse(stats) {
 
         return defineProperties(this.response, {
             extension: {
+                /*
+                 * Configurable as hooks may replay with fetchEx().
+                 */
+                configurable: true,
                 value: {
-                    stats: this.#stats(runs),
+                    idempotencyKey: this.#idempotencyKey,
+                    stats,
                     /*
                      * Infer body parser based on content-type.
+                     * Successful responses are validated against extension.schema
+                     * unless another schema is specified.
                      */
-                    body: async () => {
+                    body: async ({schema}={}) => {
+
+                        const body = await parseBody(this.response, {
+                            ...bodyParsers,
+                            ...this.extension.parsers,
+                        });
 
-                        const type = this.response.headers
-                            .get('content-type') || '';
+                        schema ??= isSuccessCode(this.response.status)
+                            ? this.extension.schema
+                            : undefined;
 
-                        return type.includes(mimeTypes.json)
-                            ? this.response.json()
-                            : this.response.text();
+                        return schema
+                            ? this.#validateBody(schema, body, stats)
+                            : body;
                     },
+                    /*
+                     * Stream parsers, consuming the body incrementally.
+                     */
+                    events: options => this.#events(options),
+                    ndjson: () => parseNDJSON(readLines(this.response)),
+                    ...(this.extension.debug && {
+                        toHAR: () => harDocument(this.#harEntries),
+                    }),
                 },
             },
         });
     }
 
+    /*
+     * Server-Sent Events. With `reconnect`, `true` or the number of
+     * consecutive reconnects without an event, the request is repeated
+     * with `Last-Event-ID` after the stream ends or fails. Waits the
+     * server `retry` time, otherwise the extension.retry delay.
+     */
+    async * #events({reconnect=false, signal=this.fetchArgs[1].signal}={}) {
+
+        const maxReconnects = reconnect === true
+            ? Infinity
+            : Number(reconnect);
+        const state = {};
+
+        let {response} = this;
+        let reconnects = 0;
+        let delay;
+
+        while (true) {
+
+            signal?.throwIfAborted();
+
+            const onAbort = () => response?.body?.destroy(signal.reason);
+            let linked;
+
+            signal?.addEventListener('abort', onAbort);
+
+            try {
+                if (! response) {
+                    /*
+                     * Aborted by `signal` as well as options.signal.
+                     */
+                    const requestSignal = this.fetchArgs[1].signal;
+
+                    linked = signal && requestSignal && signal !== requestSignal
+                        ? anySignal([signal, requestSignal])
+                        : undefined;
+                    response = await this.#reconnect(state.lastEventId, linked?.signal ?? signal ?? requestSignal);
+
+                    if (response.status === NO_CONTENT) {
+                        return;
+                    }
+                    if (! isSuccessCode(response.status)) {
+                        throw new HTTPError(response, {
+                            redact: this.#redact,
+                        });
+                    }
+                }
+
+                for await (const event of parseEvents(readLines(response), state)) {
+                    reconnects = 0;
+                    yield event;
+                }
+            }
+            catch (error) {
+                signal?.throwIfAborted();
+                // A failed reconnect is retried, but an error status ends the stream.
+                if (error instanceof HTTPError || reconnects >= maxReconnects) {
+                    throw error;
+                }
+            }
+            finally {
+                signal?.removeEventListener('abort', onAbort);
+                linked?.clear();
+                response = undefined;
+            }
+
+            if (signal?.aborted || reconnects >= maxReconnects) {
+                return;
+            }
+
+            delay = state.retry ?? await retryDelay(this.extension.retry, reconnects, {}, delay);
+            reconnects++;
+
+            await sleep(delay, {signal});
+        }
+    }
+
+    /*
+     * Repeat the original request for events(), with the same extension.
+     */
+    #reconnect(lastEventId, signal) {
+
+        const [input, options] = this.fetchArgs;
+        const headers = new Headers(options.headers ?? input.headers);
+
+        if (! isNil(lastEventId)) {
+            headers.set('last-event-id', lastEventId);
+        }
+
+        return fetchEx(input, {
+            ...options,
+            headers,
+            signal,
+            extension: {...this.extension},
+        });
+    }
+
+    async #validateBody(schema, body, stats) {
+
+        try {
+            return await validateBody(schema, body);
+        }
+        catch (error) {
+            if (error instanceof ResponseValidationError) {
+                stats.validation = {
+                    issues: error.issues,
+                };
+                stats.fail = `Fetch of '${redactURL(this.request.url, this.#redact)}' returned a body that`
+                    + ` failed validation with ${countOf(error.issues, 'issue')} (${issueSummary(error.issues)})`;
+                delete stats.ok;
+
+                assign(error, {
+                    response: this.response,
+                    stats,
+                });
+
+                this.#log(stats, ['fail']);
+            }
+            throw error;
+        }
+    }
+
+    /*
+     * The extension.throwHttpErrors option may be `true` (any non-2xx status),
+     * an array of status kinds (e.g. ['server']) or a function of status.
+     */
+    #isHttpError(status) {
+
+        const filter = this.extension.throwHttpErrors;
+
+        if (! filter || isNil(status) || isSuccessCode(status)) {
+            return false;
+        }
+
+        if (isFunction(filter)) {
+            return Boolean(filter(status));
+        }
+
+        if (Array.isArray(filter)) {
+            return filter.includes(statusKind(status));
+        }
+
+        return true;
+    }
+
     #stats(runs) {
 
         const stats = {
             runs,
         };
 
-        const timings = runs
-            .map(it => it.time);
+        /*
+         * Extended by the body download time once the body is read.
+         */
+        const fetchTimes = () => runs
+            .map(it => it.time + (it.timings?.download ?? 0));
 
-        stats.totalFetchTime = sum(timings);
-        stats.maxFetchTime = Math.max(...timings);
+        defineProperties(stats, {
+            totalFetchTime: {
+                enumerable: true,
+                get: () => sum(fetchTimes()),
+            },
+            maxFetchTime: {
+                enumerable: true,
+                get: () => Math.max(...fetchTimes()),
+            },
+        });
+
+        stats.totalDelay = sum(runs
+            .map(it => it.delay));
+        stats.totalQueueTime = sum(runs
+            .map(it => it.queueTime || 0));
         stats.lastRun = runs.at(-1);
 
-        const prefix = `Fetch of '${this.request.url}' `;
+        if (this.#idempotencyKey) {
+            stats.idempotencyKey = this.#idempotencyKey;
+        }
+
+        const prefix = `Fetch of '${redactURL(this.request.url, this.#redact)}' `;
+
+        /*
+         * Hedge requests that lost are not counted as attempts.
+         */
+        const attempts = runs
+            .filter(it => ! it.lost);
 
-        if (stats.lastRun.failed) {
+        if (this.#deadlineExceeded) {
+            stats.deadlineExceeded = true;
+            stats.fail = `${prefix}exceeded deadline <${this.extension.deadline} ms>`
+                + ` after ${countOf(attempts, 'attempt')}`
+                + FetchEx.#delaySummary(attempts, stats);
+        }
+        else if (this.#abortError) {
+            stats.fail = `${prefix}failed with ${FetchEx.#errorSummary(this.#abortError)}`
+                + ` while waiting to retry after ${countOf(attempts, 'attempt')}`
+                + FetchEx.#delaySummary(attempts, stats);
+        }
+        else if (stats.lastRun.failed || this.#isHttpError(stats.lastRun.status)) {
+            /*
+             * Including a status thrown as HTTPError by extension.throwHttpErrors.
+             */
             const {error} = stats.lastRun;
             stats.fail = prefix + (error
                 ? `failed with ${FetchEx.#errorSummary(error)}`
                 : `failed with status ${stats.lastRun.status}`)
-                + ` after ${countOf(runs, 'attempt')}`;
+                + ` after ${countOf(attempts, 'attempt')}`
+                + FetchEx.#delaySummary(attempts, stats)
+                + (stats.lastRun.giveUp
+                    ? ` (gave up: ${stats.lastRun.giveUp})`
+                    : '');
         }
-        else if (stats.runs.length > 1) {
-            const failedAttempts = stats.runs
+        else if (attempts.length > 1) {
+            const failedAttempts = attempts
                 .filter(it => it.failed)
                 .map(it => it.error
                     ? FetchEx.#errorSummary(it.error)
                     : `${it.status}`)
                 .join(', ');
-            stats.warn = `${prefix}required ${countOf(stats.runs, 'attempt')} (${failedAttempts})`;
+            stats.warn = `${prefix}required ${countOf(attempts, 'attempt')} (${failedAttempts})`
+                + FetchEx.#delaySummary(attempts, stats);
         }
         else {
             stats.ok = `${prefix}was OK`;
         }
 
+        if (stats.lastRun.dedupe) {
+            stats.dedupe = stats.lastRun.dedupe;
+        }
+
+        if (stats.lastRun.cache) {
+            stats.cache = stats.lastRun.cache;
+            stats.ok &&= `${stats.ok} (cache ${stats.cache})`;
+        }
+
+        if (stats.lastRun.retryable && this.#replayBlocked) {
+            stats.warn = `${prefix}was not retried (${this.#replayBlocked})`;
+        }
+
         return stats;
     }
 
-    async #evaluate(run, error) {
+    async #evaluate(run, error, attempt) {
 
         if (error) {
             if (error instanceof TypeError) {
@@ -226,6 +1049,9 @@ class FetchEx {
                  */
                 throw error;
             }
+            if (FetchEx.#isAbortError(error)) {
+                error.reason = this.#signal?.reason;
+            }
             run.error = error;
         }
         else {
@@ -241,38 +1067,174 @@ class FetchEx {
 
         if (error) {
             if (FetchEx.#isAbortError(error)) {
-                if (extension.timeout) {
-                    run.retryable = true;
-                }
-                else {
+                if (this.fetchArgs[1].signal?.aborted) {
                     /*
                      * Throw from user-specified AbortController
                      * overrides extension retry behaviour.
                      */
                 }
-                error.reason = this.fetchArgs[1].signal.reason;
+                else if ((extension.timeout || extension.idleTimeout) && ! this.#deadlineExceeded) {
+                    run.retryable = true;
+                }
             }
             else {
-                const networkErrorCodes = [
-                    // Source: https://github.com/sindresorhus/got/blob/main/documentation/7-retry.md
-                    'EADDRINUSE', // Could not bind to any free port.
-                    'EAI_AGAIN', // DNS lookup timed out.
-                    'ECONNREFUSED', // The connection was refused by the server.
-                    'ECONNRESET', // The connection was forcibly closed.
-                    'ENETUNREACH', // No internet connection.
-                    'ENOTFOUND', // Could not resolve the hostname to an IP address.
-                    'EPIPE', // The remote side of the stream being written has been closed.
-                    'ETIMEDOUT', // A connect or send request timeout.
-                ];
-
-                run.retryable = networkErrorCodes
+                run.retryable = retryConfig.errorCodes
                     .includes(FetchEx.#errorCode(error));
             }
         }
         else {
-            run.retryable = retryConfig.methods.includes(this.request.method)
-                && isServerErrorCode(this.response.status);
+            const {status} = this.response;
+            const {method} = this.request;
+
+            /*
+             * Status codes are retried for retry.methods only, errors and
+             * timeouts for any method. POST is safe to retry with the same
+             * idempotency key.
+             */
+            run.retryable = (retryConfig.methods.includes(method)
+                || (Boolean(this.#idempotencyKey) && method === httpMethods.POST))
+                && this.#isRetryableStatus(status);
+        }
+
+        if (isFunction(retryConfig.shouldRetry)) {
+            /*
+             * User predicate overrides the default decision unless it
+             * returns nullish.
+             */
+            const decision = await retryConfig.shouldRetry({
+                run,
+                request: this.request,
+                response: error ? undefined : this.response,
+                error,
+                attempt,
+            });
+
+            if (! isNil(decision)) {
+                run.retryable = Boolean(decision);
+            }
         }
+
+        if (run.retryable && ! error) {
+            const retryAfter = parseRetryAfter(this.response.headers, this.response.status);
+
+            if (retryAfter) {
+                run.retryAfter = retryAfter;
+
+                if (! isNil(retryConfig.maxRetryAfter)
+                    && retryAfter.delay > ms(retryConfig.maxRetryAfter)) {
+                    run.giveUp = `${retryAfter.source} of ${retryAfter.delay} ms exceeds retry.maxRetryAfter`;
+                }
+            }
+        }
+
+        if (run.retryable && this.#replayBlocked) {
+            run.giveUp ??= this.#replayBlocked;
+        }
+    }
+
+    /*
+     * By retry.statusCodes, otherwise server errors and 429.
+     */
+    #isRetryableStatus(status) {
+
+        const {statusCodes} = this.extension.retry;
+
+        return statusCodes
+            ? statusCodes.includes(status)
+            : isServerErrorCode(status) || status === TOO_MANY_REQUESTS;
+    }
+
+    /*
+     * Pass stats messages to extension.log, and structured events to
+     * extension.logger as `logger[level]({message, ...fields})` which
+     * suits both pino and winston.
+     */
+    #log(stats, outcomes=['fail', 'ok', 'warn']) {
+
+        const {log, logger} = this.extension;
+        const levels = {
+            fail: 'error',
+            ok: 'info',
+            warn: 'warn',
+        };
+
+        for (const outcome of outcomes.filter(it => stats[it])) {
+
+            if (isFunction(log?.[outcome])) {
+                log[outcome](stats[outcome]);
+            }
+
+            if (isFunction(logger?.[levels[outcome]])) {
+                logger[levels[outcome]]({
+                    message: stats[outcome],
+                    ...this.#logFields(stats),
+                    outcome,
+                });
+            }
+        }
+    }
+
+    #logFields(stats) {
+
+        const {lastRun} = stats;
+        const attempts = stats.runs
+            .filter(it => ! it.lost);
+
+        return {
+            method: this.request.method,
+            url: redactURL(this.request.url, this.#redact),
+            ...(! isNil(lastRun.status) && {
+                status: lastRun.status,
+            }),
+            attempts: attempts.length,
+            delays: attempts
+                .slice(1)
+                .map(it => it.delay),
+            errors: attempts
+                .filter(it => it.failed)
+                .map(it => (it.error
+                    ? FetchEx.#errorCode(it.error) ?? it.error.name
+                    : it.status)),
+            timings: {
+                maxFetchTime: stats.maxFetchTime,
+                totalDelay: stats.totalDelay,
+                totalFetchTime: stats.totalFetchTime,
+                totalQueueTime: stats.totalQueueTime,
+            },
+            ...pick(stats, ['cache', 'dedupe', 'deadlineExceeded', 'idempotencyKey', 'validation']),
+        };
+    }
+
+    /*
+     * Call `release` once the response body has been read or cancelled,
+     * returning it to be called if the response is discarded instead.
+     */
+    static #releaseWithBody(response, release) {
+
+        const body = response?.body;
+
+        if (isFunction(body?.once) && ! body.destroyed) {
+            body.once('close', release);
+        }
+        else {
+            release();
+        }
+
+        return release;
+    }
+
+    static #delaySummary(attempts, {totalDelay}) {
+
+        if (attempts.length < 2) {
+            return '';
+        }
+
+        const delays = attempts
+            .slice(1)
+            .map(it => `${it.delay} ms`)
+            .join(', ');
+
+        return ` with ${totalDelay} ms total retry delay (${delays})`;
     }
 
     static #errorCode(error) {
@@ -281,7 +1243,9 @@ class FetchEx {
 
     static #errorSummary(error) {
 
-        const subject = error.cause || error;
+        const subject = FetchEx.#isAbortError(error)
+            ? error
+            : error.cause || error;
         const {name, reason} = subject;
 
         return FetchEx.#isAbortError(subject)
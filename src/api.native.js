@@ -1,5 +1,7 @@
 export {
+    AbortError,
     default as fetch,
+    FetchError,
     FormData,
     Headers,
     Request,
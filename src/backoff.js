@@ -0,0 +1,116 @@
+import {isFunction, isNil, random} from 'lodash-es';
+import {TOO_MANY_REQUESTS} from '#src/http-codes';
+import {ms} from '#src/util';
+
+/*
+ * Backoff strategies, called with the zero-based retry index.
+ */
+const strategies = {
+    fixed: base => base,
+    linear: (base, attemptIndex) => base * (attemptIndex + 1),
+    exponential: (base, attemptIndex, {factor=2}) => base * (factor ** attemptIndex),
+};
+
+/*
+ * Jitter strategies:
+ * https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+ */
+const jitters = {
+    full: delay => random(0, delay),
+    equal: delay => (delay / 2) + random(0, delay / 2),
+    decorrelated: (_delay, {base, previousDelay}) => random(base, Math.max(base, (previousDelay || base) * 3)),
+};
+
+/*
+ * Resolve the delay in ms to sleep before the next attempt.
+ */
+export async function retryDelay(retryConfig, attemptIndex, run, previousDelay) {
+
+    if (run.retryAfter) {
+        /*
+         * Server-specified delay takes precedence over backoff strategy.
+         */
+        return run.retryAfter.delay;
+    }
+
+    const {backoff='fixed', jitter, maxDelay} = retryConfig;
+    const base = ms(retryConfig.delay);
+
+    let delay;
+
+    if (isFunction(backoff)) {
+        delay = ms(await backoff(attemptIndex, run));
+    }
+    else if (strategies[backoff]) {
+        delay = strategies[backoff](base, attemptIndex, retryConfig);
+    }
+    else {
+        throw new TypeError(`Unknown extension.retry.backoff '${backoff}'`);
+    }
+
+    if (jitter) {
+        if (! jitters[jitter]) {
+            throw new TypeError(`Unknown extension.retry.jitter '${jitter}'`);
+        }
+        delay = jitters[jitter](delay, {base, previousDelay});
+    }
+
+    if (! isNil(maxDelay)) {
+        delay = Math.min(delay, ms(maxDelay));
+    }
+
+    return Math.max(0, Math.round(delay));
+}
+
+/*
+ * Delta-seconds above this (~2001-09-09) are treated as epoch seconds.
+ */
+const epochThreshold = 1e9;
+
+/*
+ * Parse server-specified delay from response headers.
+ *
+ * Retry-After: delta-seconds or HTTP-date.
+ * RateLimit-Reset: delta-seconds.
+ * X-RateLimit-Reset: delta-seconds or epoch seconds.
+ *
+ * Reset headers only apply to a 429 or with no requests remaining,
+ * as some APIs send them on every response for the quota window.
+ */
+export function parseRetryAfter(headers, status) {
+
+    const rateLimited = status === TOO_MANY_REQUESTS
+        || ['ratelimit-remaining', 'x-ratelimit-remaining']
+            .some(it => headers.get(it)?.trim() === '0');
+
+    for (const source of ['retry-after', 'ratelimit-reset', 'x-ratelimit-reset']) {
+
+        const value = headers.get(source)?.trim();
+
+        if (! value || (source !== 'retry-after' && ! rateLimited)) {
+            continue;
+        }
+
+        let delay;
+
+        if (/^\d+$/.test(value)) {
+            const seconds = parseInt(value, 10);
+            delay = (source === 'x-ratelimit-reset' && seconds > epochThreshold)
+                ? (seconds * 1000) - Date.now()
+                : seconds * 1000;
+        }
+        else if (source === 'retry-after') {
+            delay = Date.parse(value) - Date.now();
+        }
+
+        if (Number.isFinite(delay)) {
+            return {
+                source,
+                value,
+                delay: Math.max(0, delay),
+            };
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,153 @@
+import * as mimeTypes from '#src/mime-types';
+
+/*
+ * TextDecoder for `charset`, falling back to UTF-8.
+ */
+export function textDecoder(charset) {
+
+    try {
+        return new TextDecoder(charset || 'utf-8');
+    }
+    catch {
+        // Unknown charset label.
+        return new TextDecoder();
+    }
+}
+
+const text = async (response, {charset}) => textDecoder(charset)
+    .decode(await response.arrayBuffer());
+
+const json = async (response, options) => JSON.parse(await text(response, options));
+
+const ndjson = async (response, options) => (await text(response, options))
+    .split(/\r?\n/)
+    .filter(it => it.trim())
+    .map(it => JSON.parse(it));
+
+const blob = response => response.blob();
+
+/*
+ * RFC 4180 CSV to rows of string fields.
+ */
+const csv = async (response, options) => {
+
+    const source = await text(response, options);
+    const rows = [];
+
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += char;
+                i++;
+            }
+            else if (char === '"') {
+                quoted = false;
+            }
+            else {
+                field += char;
+            }
+        }
+        else if (char === '"') {
+            quoted = true;
+        }
+        else if (char === ',') {
+            row.push(field);
+            field = '';
+        }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        }
+        else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+};
+
+/*
+ * Body parsers keyed by media type, structured syntax suffix (e.g. `+json`)
+ * or wildcard (e.g. `image/*`), falling back to text.
+ * Called with `(response, {mediaType, charset, parameters})`.
+ */
+export const bodyParsers = {
+    [mimeTypes.csv]: csv,
+    [mimeTypes.formData]: response => response.formData(),
+    [mimeTypes.formUrlEncoded]: async (response, options) => new URLSearchParams(await text(response, options)),
+    [mimeTypes.json]: json,
+    [mimeTypes.ndjson]: ndjson,
+    [mimeTypes.octetStream]: blob,
+    [mimeTypes.pdf]: blob,
+    '+json': json,
+    'application/jsonl': ndjson,
+    'application/x-jsonlines': ndjson,
+    'audio/*': blob,
+    'font/*': blob,
+    'image/*': blob,
+    'text/*': text,
+    'video/*': blob,
+    '*/*': text,
+};
+
+/*
+ * Parse a content-type header value.
+ * E.g. 'Application/JSON; charset="UTF-8"' → {mediaType: 'application/json', charset: 'utf-8', ...}
+ */
+export function parseMediaType(contentType) {
+
+    const [mediaType, ...params] = (contentType || '')
+        .split(';');
+
+    const parameters = {};
+
+    for (const param of params) {
+        const index = param.indexOf('=');
+        if (index > 0) {
+            const name = param.slice(0, index)
+                .trim()
+                .toLowerCase();
+            parameters[name] = param.slice(index + 1)
+                .trim()
+                .replace(/^"(.*)"$/, '$1');
+        }
+    }
+
+    return {
+        charset: parameters.charset?.toLowerCase(),
+        mediaType: mediaType.trim()
+            .toLowerCase(),
+        parameters,
+    };
+}
+
+export async function parseBody(response, parsers=bodyParsers) {
+
+    const options = parseMediaType(response.headers.get('content-type'));
+    const {mediaType} = options;
+    const [type] = mediaType.split('/');
+    const suffix = mediaType.match(/\+[^+/]+$/)?.[0];
+
+    const parser = parsers[mediaType]
+        || (suffix && parsers[suffix])
+        || parsers[`${type}/*`]
+        || parsers['*/*'];
+
+    return parser(response, options);
+}
@@ -0,0 +1,147 @@
+import {Readable} from 'node:stream';
+import {isFunction, isNil} from 'lodash-es';
+
+/*
+ * Streams and async iterables are consumed by the first attempt.
+ */
+export function isReplayableBody(body) {
+
+    if (isNil(body) || typeof body !== 'object') {
+        return true;
+    }
+
+    return ! (isFunction(body[Symbol.asyncIterator])
+        || isFunction(body.getReader)
+        || isFunction(body.pipe));
+}
+
+/*
+ * Read a stream body into memory up to `maxSize` bytes.
+ * If it is larger, the already read chunks are prepended to the rest
+ * of the stream, which remains non-replayable.
+ */
+export async function bufferBody(body, maxSize) {
+
+    const iterator = body[Symbol.asyncIterator]
+        ? body[Symbol.asyncIterator]()
+        : Readable.fromWeb(body)[Symbol.asyncIterator]();
+
+    const chunks = [];
+    let size = 0;
+
+    while (size <= maxSize) {
+        const {done, value} = await iterator.next();
+
+        if (done) {
+            return {
+                body: Buffer.concat(chunks),
+                replayable: true,
+            };
+        }
+
+        const chunk = Buffer.from(value);
+        chunks.push(chunk);
+        size += chunk.length;
+    }
+
+    const rest = {
+        [Symbol.asyncIterator]: () => iterator,
+    };
+
+    return {
+        body: Readable.from((async function* () {
+            yield* chunks;
+            yield* rest;
+        })()),
+        replayable: false,
+    };
+}
+
+/*
+ * Blob as duck-typed by node-fetch.
+ */
+export function isBlob(body) {
+    return isFunction(body?.stream)
+        && isFunction(body.arrayBuffer)
+        && /^(Blob|File)$/.test(body[Symbol.toStringTag]);
+}
+
+/*
+ * Stream `body` counting bytes, reporting `{transferred, total, percent}`
+ * to `onProgress` per chunk. `idle` (see idleTimer()) is touched per chunk,
+ * or with `idleReads`, for a body read from the network, only runs while
+ * waiting for `body`: not while the consumer holds back, nor once it ends.
+ */
+export function trackBody(body, {idle, idleReads=false, onProgress, total}={}) {
+
+    let transferred = 0;
+
+    const reading = () => idleReads && idle?.touch();
+    const received = () => (idleReads ? idle?.clear() : idle?.touch());
+
+    return Readable.from((async function* () {
+        try {
+            reading();
+            for await (const chunk of body) {
+                received();
+                transferred += chunk.length;
+                onProgress?.({
+                    transferred,
+                    total,
+                    percent: total
+                        ? Math.min(100, (transferred / total) * 100)
+                        : undefined,
+                });
+                yield chunk;
+                reading();
+            }
+        }
+        finally {
+            if (idleReads) {
+                idle?.clear();
+            }
+        }
+    })(), {
+        objectMode: false,
+    });
+}
+
+/*
+ * Blob-like body streaming `source`, a Blob or a one-shot stream, through
+ * trackBody(). node-fetch tees a stream body into every copy of a Request,
+ * so that the copy left unread, e.g. the one given to fetch(), holds back
+ * the upload once its buffer is full, whereas a Blob body is not teed.
+ * Each copy streams on its own, the first one read being tracked. Copies
+ * read later get the Blob again, or nothing of a stream.
+ */
+export function trackedBlob(source, {size, ...options}) {
+
+    const replayable = isBlob(source);
+    let claimed = false;
+
+    const stream = () => Readable.from((async function* () {
+        if (claimed) {
+            if (replayable) {
+                yield* source.stream();
+            }
+            return;
+        }
+        claimed = true;
+        yield* trackBody(replayable ? source.stream() : source, options);
+    })());
+
+    return {
+        [Symbol.toStringTag]: 'Blob',
+        size,
+        type: '',
+        stream,
+        arrayBuffer: async () => {
+            const chunks = [];
+            for await (const chunk of stream()) {
+                chunks.push(chunk);
+            }
+            const buffer = Buffer.concat(chunks);
+            return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        },
+    };
+}
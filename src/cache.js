@@ -0,0 +1,293 @@
+import {Response} from '#src/api.native';
+import {toHeaders} from '#src/api.util';
+import {bufferBody} from '#src/body';
+import {NOT_MODIFIED} from '#src/http-codes';
+import {GET, HEAD} from '#src/http-methods';
+import {assign, bytes} from '#src/util';
+
+export const defaultMaxBodySize = '1 MiB';
+
+/*
+ * Statuses cacheable by default (RFC 9110 §15.1) when a response has
+ * explicit freshness or validators.
+ */
+const cacheableStatuses = [200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501];
+
+/*
+ * In-memory least recently used store.
+ * Any store implementing (optionally async) get/set/delete may be used instead,
+ * optionally with a `maxBodySize` beyond which responses are not stored.
+ */
+export class MemoryCache {
+
+    #entries = new Map();
+
+    constructor({maxBodySize=defaultMaxBodySize, maxEntries=1000}={}) {
+        assign(this, {
+            maxBodySize,
+            maxEntries,
+        });
+    }
+
+    get size() {
+        return this.#entries.size;
+    }
+
+    get(key) {
+
+        const entry = this.#entries.get(key);
+
+        if (entry) {
+            // Move to most recently used.
+            this.#entries.delete(key);
+            this.#entries.set(key, entry);
+        }
+
+        return entry;
+    }
+
+    set(key, entry) {
+
+        this.#entries.delete(key);
+        this.#entries.set(key, entry);
+
+        for (const oldest of this.#entries.keys()) {
+            if (this.#entries.size <= this.maxEntries) {
+                break;
+            }
+            this.#entries.delete(oldest);
+        }
+    }
+
+    delete(key) {
+        this.#entries.delete(key);
+    }
+
+    clear() {
+        this.#entries.clear();
+    }
+}
+
+export const defaultCache = new MemoryCache();
+
+/*
+ * Fetch via a shared cache (RFC 9111) for GET requests.
+ * Resolves with `{response, cache}` where `cache` is one of
+ * 'hit', 'miss' or 'revalidated' (undefined if not applicable).
+ */
+export async function cachedFetch(request, store, send) {
+
+    const key = `${GET} ${request.url}`;
+
+    if (request.method !== GET) {
+        const response = await send(request);
+
+        if (request.method !== HEAD && response.ok) {
+            // Unsafe methods invalidate stored responses (RFC 9111 §4.4).
+            await store.delete(key);
+        }
+
+        return {response};
+    }
+
+    const requestDirectives = parseCacheControl(request.headers.get('cache-control'));
+
+    if (requestDirectives['no-store']) {
+        return {
+            response: await send(request),
+        };
+    }
+
+    let entry = await store.get(key);
+
+    if (entry && ! varyMatches(entry, request)) {
+        entry = null;
+    }
+
+    if (entry && ! requestDirectives['no-cache'] && Date.now() - entry.storedAt < entry.lifetime) {
+        return {
+            cache: 'hit',
+            response: toResponse(entry),
+        };
+    }
+
+    if (entry?.etag) {
+        request.headers.set('if-none-match', entry.etag);
+    }
+    if (entry?.lastModified) {
+        request.headers.set('if-modified-since', entry.lastModified);
+    }
+
+    const response = await send(request);
+
+    if (entry && response.status === NOT_MODIFIED) {
+        const headers = toHeaders(entry.headers);
+        for (const [name, value] of response.headers) {
+            headers.set(name, value);
+        }
+
+        entry = toEntry(request, {
+            ...entry,
+            headers: [...headers],
+        });
+        await store.set(key, entry);
+
+        return {
+            cache: 'revalidated',
+            response: toResponse(entry),
+        };
+    }
+
+    const maxBodySize = bytes(store.maxBodySize ?? defaultMaxBodySize);
+
+    if (! isStorable(request, response)
+        || Number(response.headers.get('content-length')) > maxBodySize) {
+        return {
+            cache: 'miss',
+            response,
+        };
+    }
+
+    /*
+     * Without a content-length, read up to maxBodySize, passing on
+     * a larger body as a stream of the chunks read and the rest.
+     */
+    const buffered = response.body
+        ? await bufferBody(response.body, maxBodySize)
+        : {body: Buffer.alloc(0), replayable: true};
+
+    if (! buffered.replayable) {
+        return {
+            cache: 'miss',
+            response: new Response(buffered.body, {
+                counter: response.redirected ? 1 : 0,
+                headers: response.headers,
+                status: response.status,
+                statusText: response.statusText,
+                url: response.url,
+            }),
+        };
+    }
+
+    entry = toEntry(request, {
+        body: buffered.body
+            .toString('base64'),
+        headers: [...response.headers],
+        status: response.status,
+        statusText: response.statusText,
+        url: response.url,
+    });
+    await store.set(key, entry);
+
+    return {
+        cache: 'miss',
+        response: toResponse(entry),
+    };
+}
+
+/*
+ * Parse a Cache-Control header value to {directive: value|true}.
+ */
+export function parseCacheControl(value) {
+
+    const directives = {};
+
+    for (const part of (value || '').split(',')) {
+        const [name, arg] = part.split('=');
+        if (name.trim()) {
+            directives[name.trim()
+                .toLowerCase()] = arg
+                ? arg.trim()
+                    .replace(/^"(.*)"$/, '$1')
+                : true;
+        }
+    }
+
+    return directives;
+}
+
+function isStorable(request, response) {
+
+    const directives = parseCacheControl(response.headers.get('cache-control'));
+    const {headers} = response;
+
+    if (! cacheableStatuses.includes(response.status)
+        || directives['no-store']
+        || directives.private
+        || headers.get('vary')?.trim() === '*') {
+        return false;
+    }
+
+    if (request.headers.has('authorization')
+        && ! (directives.public || directives['s-maxage'] || directives['must-revalidate'])) {
+        return false;
+    }
+
+    return freshnessLifetime(headers) > 0
+        || headers.has('etag')
+        || headers.has('last-modified');
+}
+
+function freshnessLifetime(headers) {
+
+    const directives = parseCacheControl(headers.get('cache-control'));
+
+    if (directives['no-cache']) {
+        return 0;
+    }
+
+    const maxAge = directives['s-maxage'] ?? directives['max-age'];
+
+    if (maxAge !== undefined) {
+        const age = parseInt(headers.get('age') || 0, 10);
+        return (parseInt(maxAge, 10) - age) * 1000;
+    }
+
+    const expires = Date.parse(headers.get('expires'));
+
+    if (Number.isFinite(expires)) {
+        const date = Date.parse(headers.get('date'));
+        return expires - (Number.isFinite(date) ? date : Date.now());
+    }
+
+    return 0;
+}
+
+function toEntry(request, entry) {
+
+    const headers = toHeaders(entry.headers);
+    const vary = {};
+
+    for (const name of (headers.get('vary') || '').split(',')) {
+        if (name.trim()) {
+            vary[name.trim()
+                .toLowerCase()] = request.headers.get(name.trim());
+        }
+    }
+
+    return {
+        ...entry,
+        etag: headers.get('etag'),
+        lastModified: headers.get('last-modified'),
+        lifetime: freshnessLifetime(headers),
+        storedAt: Date.now(),
+        vary,
+    };
+}
+
+function toResponse({body, headers, status, statusText, url}) {
+
+    const buffer = Buffer.from(body, 'base64');
+
+    return new Response(buffer.length ? buffer : null, {
+        headers,
+        status,
+        statusText,
+        url,
+    });
+}
+
+function varyMatches(entry, request) {
+    return Object.entries(entry.vary)
+        .every(([name, value]) => request.headers.get(name) === value);
+}
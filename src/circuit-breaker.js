@@ -0,0 +1,176 @@
+import {isFunction} from 'lodash-es';
+import {CircuitOpenError} from '#src/errors';
+import {assign, ms} from '#src/util';
+
+export const CLOSED = 'closed';
+export const HALF_OPEN = 'half-open';
+export const OPEN = 'open';
+
+/*
+ * Circuit breaker to be shared across fetchEx() calls via extension.circuitBreaker.
+ *
+ * Opens for a key (default: request origin) after `failureThreshold` consecutive
+ * failed attempts, or when `errorRate` of attempts within `window` fail
+ * (given at least `minimumRequests`). After `resetTimeout` it is half-open,
+ * letting `halfOpenRequests` probe attempts through: a success closes it,
+ * a failure opens it again.
+ */
+export class CircuitBreaker {
+
+    #circuits = new Map();
+
+    constructor(options={}) {
+
+        this.options = {
+            errorRate: null,
+            failureThreshold: 5,
+            halfOpenRequests: 1,
+            key: url => new URL(url).origin,
+            minimumRequests: 10,
+            onStateChange: null,
+            resetTimeout: '30 s',
+            window: '60 s',
+            ...options,
+        };
+    }
+
+    keyOf(url, options) {
+        return this.options.key(url, options);
+    }
+
+    state(key) {
+        return this.#circuit(key).state;
+    }
+
+    /*
+     * Throws CircuitOpenError unless an attempt may be made. Returns true
+     * for a half-open probe, which must be recorded or released.
+     */
+    acquire(key) {
+
+        const circuit = this.#circuit(key);
+
+        if (circuit.state === OPEN
+            && Date.now() - circuit.openedAt >= ms(this.options.resetTimeout)) {
+            this.#transition(key, circuit, HALF_OPEN);
+        }
+
+        if (circuit.state === HALF_OPEN && circuit.probes < this.options.halfOpenRequests) {
+            circuit.probes++;
+            return true;
+        }
+
+        if (circuit.state !== CLOSED) {
+            throw new CircuitOpenError(`Circuit for '${key}' is ${circuit.state}`, {
+                key,
+                retryAt: circuit.openedAt + ms(this.options.resetTimeout),
+                state: circuit.state,
+            });
+        }
+
+        return false;
+    }
+
+    /*
+     * Release a probe without an outcome, e.g. when its attempt threw
+     * before being made.
+     */
+    release(key) {
+
+        const circuit = this.#circuit(key);
+
+        if (circuit.state === HALF_OPEN) {
+            circuit.probes = Math.max(0, circuit.probes - 1);
+        }
+    }
+
+    /*
+     * Record the outcome of an acquired attempt.
+     */
+    record(key, failed) {
+
+        const circuit = this.#circuit(key);
+        const now = Date.now();
+        const {errorRate, failureThreshold, minimumRequests} = this.options;
+
+        circuit.outcomes = circuit.outcomes
+            .filter(it => now - it.time < ms(this.options.window));
+        circuit.outcomes.push({
+            failed,
+            time: now,
+        });
+        circuit.failures = failed
+            ? circuit.failures + 1
+            : 0;
+
+        if (circuit.state === HALF_OPEN) {
+            circuit.probes = Math.max(0, circuit.probes - 1);
+            this.#transition(key, circuit, failed ? OPEN : CLOSED);
+            return;
+        }
+
+        if (circuit.state !== CLOSED || ! failed) {
+            return;
+        }
+
+        const failedCount = circuit.outcomes
+            .filter(it => it.failed)
+            .length;
+
+        const rateExceeded = errorRate
+            && circuit.outcomes.length >= minimumRequests
+            && failedCount / circuit.outcomes.length >= errorRate;
+
+        if (circuit.failures >= failureThreshold || rateExceeded) {
+            this.#transition(key, circuit, OPEN);
+        }
+    }
+
+    reset(key) {
+        this.#circuits.delete(key);
+    }
+
+    #circuit(key) {
+
+        if (! this.#circuits.has(key)) {
+            this.#circuits.set(key, {
+                failures: 0,
+                openedAt: null,
+                outcomes: [],
+                probes: 0,
+                state: CLOSED,
+            });
+        }
+
+        return this.#circuits.get(key);
+    }
+
+    #transition(key, circuit, state) {
+
+        const previous = circuit.state;
+
+        if (previous === state) {
+            return;
+        }
+
+        assign(circuit, {
+            state,
+            ...(state === OPEN && {
+                openedAt: Date.now(),
+                probes: 0,
+            }),
+            ...(state === CLOSED && {
+                failures: 0,
+                outcomes: [],
+            }),
+        });
+
+        if (isFunction(this.options.onStateChange)) {
+            this.options.onStateChange({
+                key,
+                previous,
+                state,
+            });
+        }
+    }
+}
@@ -0,0 +1,89 @@
+import {isNil, isObject, isPlainObject, mergeWith, omit} from 'lodash-es';
+import {fetchEx} from '#src/api';
+import {Headers} from '#src/api.native';
+import {toHeaders} from '#src/api.util';
+import httpMethods from '#src/http-methods';
+import {paginate} from '#src/paginate';
+import {assign} from '#src/util';
+
+/*
+ * Create a fetchEx() with default options.
+ *
+ * Per-call options are deep-merged over the defaults,
+ * and relative URLs are resolved against `baseURL`.
+ */
+export function createClient({baseURL, ...defaults}={}) {
+
+    const client = (url, options) => fetchEx(
+        resolveURL(baseURL, url),
+        mergeOptions(defaults, options));
+
+    for (const method of httpMethods) {
+        client[method.toLowerCase()] = (url, options) => client(url, {
+            ...options,
+            method,
+        });
+    }
+
+    return assign(client, {
+        baseURL,
+        defaults,
+        extend: ({baseURL: extendedBaseURL=baseURL, ...overrides}={}) => createClient({
+            baseURL: extendedBaseURL,
+            ...mergeOptions(defaults, overrides),
+        }),
+        paginate: (url, options) => paginate(fetchEx,
+            resolveURL(baseURL, url),
+            mergeOptions(defaults, options)),
+    });
+}
+
+function resolveURL(baseURL, url) {
+
+    const absolute = /^[a-z][\d+.a-z-]*:/i;
+
+    if (isNil(baseURL) || typeof url !== 'string' || absolute.test(url)) {
+        return url;
+    }
+
+    return `${String(baseURL).replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+}
+
+/*
+ * Arrays and `extension.json` payloads replace rather than merge.
+ * Instances, e.g. `extension.logger` or `extension.limiter`, are kept
+ * by reference, whereas plain objects are always merged into new ones.
+ * Returns new objects as fetchEx() mutates its options.
+ */
+function mergeOptions(...sources) {
+
+    const customizer = (objValue, srcValue, key) => {
+        if (Array.isArray(srcValue)) {
+            return [...srcValue];
+        }
+        if (key === 'json' || (isObject(srcValue) && ! isPlainObject(srcValue))) {
+            return srcValue;
+        }
+        if (isPlainObject(srcValue) && ! isPlainObject(objValue)) {
+            // Not into an instance it replaces.
+            return mergeWith({}, srcValue, customizer);
+        }
+    };
+
+    const merged = mergeWith({}, ...sources.map(it => omit(it, 'headers')), customizer);
+
+    const headers = sources
+        .filter(it => ! isNil(it?.headers))
+        .map(it => toHeaders(it.headers));
+
+    if (headers.length) {
+        merged.headers = new Headers();
+        for (const it of headers) {
+            for (const [name, value] of it) {
+                merged.headers.set(name, value);
+            }
+        }
+    }
+
+    return merged;
+}
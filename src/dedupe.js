@@ -0,0 +1,115 @@
+import {Request, Response} from '#src/api.native';
+import {GET, HEAD} from '#src/http-methods';
+
+/*
+ * Shared fetches of in-flight requests by key.
+ */
+const inFlight = new Map();
+
+/*
+ * Request headers distinguishing otherwise identical requests.
+ */
+const defaultHeaders = [
+    'accept',
+    'authorization',
+    'cookie',
+];
+
+/*
+ * Share one underlying fetch between identical GET/HEAD requests in flight.
+ * The body is buffered so each caller gets its own Response.
+ * Resolves with `{response, dedupe}` where `dedupe` is 'leader' or 'joined'.
+ *
+ * Each caller waits subject to its own request signal. The shared fetch
+ * is independent of them, and only aborted once every caller has left.
+ */
+export async function dedupedFetch(request, {headers=defaultHeaders}={}, send) {
+
+    if (! [GET, HEAD].includes(request.method)) {
+        return {
+            response: await send(request),
+        };
+    }
+
+    const key = JSON.stringify([
+        request.method,
+        request.url,
+        ...headers.map(it => request.headers.get(it)),
+    ]);
+
+    let shared = inFlight.get(key);
+    const dedupe = shared
+        ? 'joined'
+        : 'leader';
+
+    if (! shared) {
+        const controller = new AbortController();
+
+        shared = {
+            controller,
+            promise: (async () => {
+                const response = await send(new Request(request, {signal: controller.signal}));
+                const {headers: responseHeaders, status, statusText, url} = response;
+
+                return {
+                    body: Buffer.from(await response.arrayBuffer()),
+                    init: {
+                        headers: [...responseHeaders],
+                        status,
+                        statusText,
+                        url,
+                    },
+                };
+            })()
+                .finally(() => inFlight.delete(key)),
+            waiters: 0,
+        };
+
+        inFlight.set(key, shared);
+    }
+
+    const {body, init} = await wait(shared, request.signal, () => {
+        if (inFlight.get(key) === shared) {
+            inFlight.delete(key);
+        }
+    });
+
+    return {
+        dedupe,
+        response: new Response(body.length ? body : null, init),
+    };
+}
+
+/*
+ * Wait for the shared fetch unless `signal` aborts first.
+ * The last caller leaving aborts the shared fetch.
+ */
+function wait(shared, signal, onAbandon) {
+
+    if (signal?.aborted) {
+        return Promise.reject(abortError());
+    }
+
+    shared.waiters++;
+
+    return new Promise((resolve, reject) => {
+
+        const onAbort = () => {
+            if (--shared.waiters === 0) {
+                onAbandon();
+                shared.controller.abort(signal.reason);
+            }
+            reject(abortError());
+        };
+
+        signal?.addEventListener('abort', onAbort, {once: true});
+
+        shared.promise
+            .finally(() => signal?.removeEventListener('abort', onAbort))
+            .then(resolve, reject);
+    });
+}
+
+function abortError() {
+    return new DOMException('This operation was aborted', 'AbortError');
+}
@@ -0,0 +1,63 @@
+import {statusKind} from '#src/http-codes';
+import {redactURL} from '#src/redact';
+import {assign} from '#src/util';
+
+/*
+ * Base for errors thrown by fetchEx().
+ * Extra properties (e.g. `stats`) are assigned to the instance.
+ */
+export class FetchExError extends Error {
+
+    constructor(message, {cause, ...props}={}) {
+        super(message, cause && {cause});
+        this.name = new.target.name;
+        assign(this, props);
+    }
+}
+
+/*
+ * Thrown when extension.deadline runs out before a successful attempt.
+ */
+export class DeadlineError extends FetchExError {}
+
+/*
+ * Thrown for non-2xx responses when extension.throwHttpErrors is enabled.
+ * `kind` distinguishes status ranges, e.g. 'client' or 'server'.
+ * The URL in the message is redacted by `redact` names (see redactURL()).
+ */
+export class HTTPError extends FetchExError {
+
+    constructor(response, {redact, ...props}={}) {
+
+        const {status, statusText, url} = response;
+
+        super(`Fetch of '${redactURL(url, redact)}' responded with status ${status}${statusText ? ` ${statusText}` : ''}`, {
+            status,
+            statusText,
+            kind: statusKind(status),
+            response,
+            ...props,
+        });
+    }
+}
+
+/*
+ * Thrown by response.extension.body() when the parsed body fails schema validation.
+ * `issues` are normalized to [{path, message}].
+ */
+export class ResponseValidationError extends FetchExError {}
+
+/*
+ * Thrown by fetchEx() when extension.circuitBreaker is open for the request.
+ */
+export class CircuitOpenError extends FetchExError {}
+
+/*
+ * Thrown by fetchEx() when the extension.limiter queue is full.
+ */
+export class QueueFullError extends FetchExError {}
+
+/*
+ * Thrown by a strict replay transport for a request without a recorded fixture.
+ */
+export class ReplayMissError extends FetchExError {}
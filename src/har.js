@@ -0,0 +1,248 @@
+import {readFileSync} from 'node:fs';
+import {isNil, omit, sum} from 'lodash-es';
+import {parseMediaType, textDecoder} from '#src/body-parsers';
+import {isRedacted, redacted, redactURL} from '#src/redact';
+import {bytes} from '#src/util';
+
+const {name, version} = JSON.parse(readFileSync(new URL('../package.json', import.meta.url)));
+
+export const defaultMaxBodySize = '64 KiB';
+
+/*
+ * Collects HAR entries of every fetchEx() attempt while recording.
+ */
+export class HARRecorder {
+
+    #entries = [];
+
+    maxBodySize = bytes(defaultMaxBodySize);
+    recording = false;
+
+    start({maxBodySize=defaultMaxBodySize}={}) {
+        this.maxBodySize = bytes(maxBodySize);
+        this.recording = true;
+        return this;
+    }
+
+    /*
+     * Stop recording, resolving with the HAR document so far.
+     */
+    stop() {
+        this.recording = false;
+        return this.toHAR();
+    }
+
+    clear() {
+        this.#entries = [];
+    }
+
+    /*
+     * Entries are promises as bodies are captured asynchronously.
+     */
+    add(entry) {
+        if (this.recording) {
+            this.#entries.push(entry);
+        }
+    }
+
+    toHAR() {
+        return harDocument(this.#entries);
+    }
+}
+
+export const harRecorder = new HARRecorder();
+
+/*
+ * HAR 1.2 document of (promised) entries.
+ */
+export async function harDocument(entries) {
+    return {
+        log: {
+            version: '1.2',
+            creator: {
+                name,
+                version,
+            },
+            pages: [],
+            entries: await Promise.all(entries),
+        },
+    };
+}
+
+/*
+ * HAR entry of an attempt. The response is cloned synchronously so that
+ * up to `maxBodySize` of its body is captured while the caller reads it.
+ * Custom `_attempt`, `_retryable` and `_error` fields describe the run.
+ * `time` is the sum of `timings`, in which `connect` includes `ssl`.
+ */
+export async function harEntry({attempt, maxBodySize, redact, request, requestBody, response, run, startedDateTime}) {
+
+    const clone = response && ! response.bodyUsed
+        ? response.clone()
+        : undefined;
+
+    const content = await captureContent(clone, response, maxBodySize);
+    const timings = harTimings(run);
+
+    return {
+        startedDateTime: startedDateTime.toISOString(),
+        time: sum(Object.values(omit(timings, 'ssl'))
+            .filter(it => it > 0)),
+        request: {
+            method: request.method,
+            url: redactURL(request.url, redact),
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: harHeaders(request.headers, redact),
+            queryString: [...new URL(request.url).searchParams]
+                .map(([key, value]) => ({
+                    name: key,
+                    value: isRedacted(key, redact) ? redacted : value,
+                })),
+            ...(! isNil(requestBody) && {
+                postData: {
+                    mimeType: request.headers.get('content-type') || '',
+                    ...requestText(requestBody, maxBodySize),
+                },
+            }),
+            headersSize: -1,
+            bodySize: -1,
+        },
+        response: response
+            ? {
+                status: response.status,
+                statusText: response.statusText,
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: harHeaders(response.headers, redact),
+                content,
+                redirectURL: response.headers.get('location') || '',
+                headersSize: -1,
+                bodySize: -1,
+            }
+            : {
+                status: 0,
+                statusText: '',
+                httpVersion: '',
+                cookies: [],
+                headers: [],
+                content,
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: -1,
+            },
+        cache: {},
+        timings,
+        _attempt: attempt,
+        ...(run.retryable && {
+            _retryable: true,
+        }),
+        ...(run.error && {
+            _error: String(run.error.message),
+        }),
+    };
+}
+
+function harHeaders(headers, redact) {
+    return [...headers]
+        .map(([key, value]) => ({
+            name: key,
+            value: isRedacted(key, redact) ? redacted : value,
+        }));
+}
+
+/*
+ * HAR timings from stats.runs[n].timings, or the run time as `wait`
+ * when the socket was not observed, e.g. a cache hit.
+ */
+function harTimings({queueTime, time, timings}) {
+
+    const blocked = queueTime ?? -1;
+
+    if (! timings) {
+        return {blocked, dns: -1, connect: -1, ssl: -1, send: 0, wait: time ?? 0, receive: 0};
+    }
+
+    return {
+        blocked,
+        dns: timings.dns,
+        connect: timings.tcp + timings.tls,
+        ssl: timings.tls,
+        send: 0,
+        wait: timings.ttfb ?? time ?? 0,
+        receive: timings.download ?? 0,
+    };
+}
+
+function requestText(body, maxBodySize) {
+
+    let text;
+
+    if (typeof body === 'string' || body instanceof URLSearchParams) {
+        text = String(body);
+    }
+    else if (ArrayBuffer.isView(body) || body instanceof ArrayBuffer) {
+        text = textDecoder()
+            .decode(body);
+    }
+    else {
+        return {
+            text: '',
+            comment: 'Body not captured',
+        };
+    }
+
+    return text.length > maxBodySize
+        ? {text: text.slice(0, maxBodySize), comment: 'Body truncated'}
+        : {text};
+}
+
+/*
+ * Read up to `maxBodySize` of a cloned response body.
+ */
+async function captureContent(clone, response, maxBodySize) {
+
+    const mimeType = response?.headers.get('content-type') || 'x-unknown';
+
+    if (! clone?.body) {
+        return {
+            size: 0,
+            mimeType,
+        };
+    }
+
+    const chunks = [];
+    let size = 0;
+    let truncated = false;
+
+    try {
+        for await (const chunk of clone.body) {
+            chunks.push(chunk);
+            size += chunk.length;
+            if (size > maxBodySize) {
+                truncated = true;
+                break;
+            }
+        }
+    }
+    catch {
+        // Aborted or failed while reading, e.g. extension.idleTimeout.
+        truncated = true;
+    }
+
+    const buffer = Buffer.concat(chunks)
+        .subarray(0, maxBodySize);
+    const binary = ! /^text\/|[+/](json|xml|javascript|x-www-form-urlencoded|x-ndjson)\b/i.test(mimeType);
+
+    return {
+        size: truncated ? -1 : size,
+        mimeType,
+        ...(binary
+            ? {text: buffer.toString('base64'), encoding: 'base64'}
+            : {text: textDecoder(parseMediaType(mimeType).charset)
+                .decode(buffer)}),
+        ...(truncated && {
+            comment: 'Body truncated',
+        }),
+    };
+}
@@ -0,0 +1,146 @@
+import {isNil, isPlainObject} from 'lodash-es';
+import {Request} from '#src/api.native';
+import {anySignal, ms} from '#src/util';
+
+/*
+ * Recent latencies in ms by origin, for percentile hedge delays.
+ */
+const latencies = new Map();
+const maxSamples = 100;
+
+export function recordLatency(key, latency) {
+
+    const samples = latencies.get(key) || [];
+
+    samples.push(latency);
+    if (samples.length > maxSamples) {
+        samples.shift();
+    }
+
+    latencies.set(key, samples);
+}
+
+/*
+ * Resolve extension.hedge to a delay in ms. Either a delay, or
+ * `{delay, percentile, minSamples}` where `delay` is the fallback
+ * until `minSamples` latencies have been recorded for `key`.
+ */
+export function hedgeDelay(hedge, key) {
+
+    if (! isPlainObject(hedge)) {
+        return ms(hedge);
+    }
+
+    const {delay, minSamples=10, percentile} = hedge;
+    const samples = latencies.get(key) || [];
+
+    if (isNil(percentile) || samples.length < minSamples) {
+        return ms(delay);
+    }
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    const index = Math.ceil((percentile / 100) * sorted.length) - 1;
+
+    return sorted[Math.max(0, Math.min(index, sorted.length - 1))];
+}
+
+/*
+ * Send `request`, and an identical hedge request if it has not
+ * responded within `delay`. The first response that `isSuccess(response)`
+ * wins and the other request is aborted. Otherwise, once every started
+ * request has finished, the first response wins, or it rejects with the
+ * first error.
+ *
+ * `send(request, record, isHedge)` may annotate its record; resolves with
+ * `{response, startTime, winner, loser}`, `startTime` being that of the
+ * first request, and records having `startTime`, `hedged` once the hedge
+ * request has started, and for the loser `lost`.
+ */
+export function hedgedSend(request, delay, send, isSuccess=() => true) {
+
+    return new Promise((resolve, reject) => {
+
+        const contenders = [];
+        let settled = false;
+
+        const settle = contender => {
+
+            settled = true;
+            clearTimeout(timer);
+
+            const loser = contenders.find(it => it !== contender);
+
+            if (loser) {
+                loser.record.lost = true;
+                loser.controller.abort('Hedged request lost');
+            }
+
+            if (contender.error) {
+                reject(contender.error);
+                return;
+            }
+
+            resolve({
+                loser: loser?.record,
+                response: contender.response,
+                startTime: contenders[0].record.startTime,
+                winner: contender.record,
+            });
+        };
+
+        /*
+         * Once every started request has finished without success.
+         */
+        const settleFinished = () => {
+
+            if (settled || contenders.some(it => ! it.finished)) {
+                return;
+            }
+
+            settle(contenders.find(it => it.response) ?? contenders[0]);
+        };
+
+        const start = () => {
+
+            const controller = new AbortController();
+            const linked = anySignal([request.signal, controller.signal]
+                .filter(Boolean));
+
+            const contender = {
+                controller,
+                record: {
+                    startTime: Date.now(),
+                },
+            };
+
+            contenders.push(contender);
+
+            if (contenders.length > 1) {
+                for (const it of contenders) {
+                    it.record.hedged = true;
+                }
+            }
+
+            send(new Request(request, {signal: linked.signal}), contender.record, contenders.length > 1)
+                .then(response => {
+                    contender.response = response;
+                    contender.finished = true;
+                    if (! settled && isSuccess(response)) {
+                        settle(contender);
+                    }
+                    else {
+                        settleFinished();
+                    }
+                }, error => {
+                    contender.error = error;
+                    contender.finished = true;
+                    settleFinished();
+                })
+                .finally(linked.clear);
+        };
+
+        start();
+
+        const timer = setTimeout(start, delay);
+    });
+}
@@ -16,6 +16,23 @@ export const isRedirectionCode = statusTest(300, 399);
 export const isClientErrorCode = statusTest(400, 499);
 export const isServerErrorCode = statusTest(500, 599);
 
+/*
+ * One of 'informational', 'success', 'redirection', 'client' or 'server'.
+ */
+export const statusKind = status => {
+
+    const kinds = {
+        informational: statusTest(100, 199),
+        success: isSuccessCode,
+        redirection: isRedirectionCode,
+        client: isClientErrorCode,
+        server: isServerErrorCode,
+    };
+
+    return Object.keys(kinds)
+        .find(it => kinds[it](status));
+};
+
 export const ACCEPTED = 202;
 export const BAD_GATEWAY = 502;
 export const BAD_REQUEST = 400;
@@ -0,0 +1,144 @@
+import {QueueFullError} from '#src/errors';
+import {ms} from '#src/util';
+
+/*
+ * Concurrency and rate limiter to be shared across fetchEx() calls via extension.limiter.
+ *
+ * Per key (default: request origin) at most `maxConcurrent` attempts are in flight
+ * and at most `intervalCap` attempts start per `interval`. Waiting attempts are
+ * queued by priority (higher first), up to `maxQueueSize`.
+ */
+export class Limiter {
+
+    #queues = new Map();
+
+    constructor(options={}) {
+
+        this.options = {
+            interval: '1 s',
+            intervalCap: Infinity,
+            key: url => new URL(url).origin,
+            maxConcurrent: Infinity,
+            maxQueueSize: Infinity,
+            ...options,
+        };
+    }
+
+    keyOf(url, options) {
+        return this.options.key(url, options);
+    }
+
+    /*
+     * Number of active and queued attempts for `key`.
+     */
+    count(key) {
+
+        const {active, queue} = this.#queue(key);
+
+        return {
+            active,
+            queued: queue.length,
+        };
+    }
+
+    /*
+     * Resolves with a release function once an attempt may start.
+     * Rejects with QueueFullError, or AbortError when `signal` aborts while queued.
+     */
+    acquire(key, {priority=0, signal}={}) {
+
+        const state = this.#queue(key);
+
+        if (signal?.aborted) {
+            return Promise.reject(abortError());
+        }
+
+        if (state.queue.length >= this.options.maxQueueSize) {
+            return Promise.reject(new QueueFullError(`Queue for '${key}' is full <${this.options.maxQueueSize}>`, {
+                key,
+            }));
+        }
+
+        return new Promise((resolve, reject) => {
+
+            const entry = {
+                priority,
+                resolve,
+            };
+
+            if (signal) {
+                entry.onAbort = () => {
+                    state.queue.splice(state.queue.indexOf(entry), 1);
+                    if (! state.queue.length) {
+                        // Nothing waits for the interval any more.
+                        state.timer?.unref();
+                    }
+                    reject(abortError());
+                };
+                signal.addEventListener('abort', entry.onAbort, {once: true});
+                entry.signal = signal;
+            }
+
+            // Higher priority first, FIFO within the same priority.
+            const index = state.queue.findIndex(it => it.priority < priority);
+            state.queue.splice(index === -1 ? state.queue.length : index, 0, entry);
+
+            this.#drain(key);
+        });
+    }
+
+    #drain(key) {
+
+        const state = this.#queue(key);
+        const {intervalCap, maxConcurrent} = this.options;
+        const interval = ms(this.options.interval);
+
+        while (state.queue.length && state.active < maxConcurrent) {
+
+            const now = Date.now();
+            state.starts = state.starts.filter(it => now - it < interval);
+
+            if (state.starts.length >= intervalCap) {
+                state.timer ||= setTimeout(() => {
+                    state.timer = null;
+                    this.#drain(key);
+                }, interval - (now - state.starts[0]));
+                return;
+            }
+
+            const entry = state.queue.shift();
+            entry.signal?.removeEventListener('abort', entry.onAbort);
+
+            state.active++;
+            state.starts.push(now);
+
+            let released = false;
+
+            entry.resolve(() => {
+                if (! released) {
+                    released = true;
+                    state.active--;
+                    this.#drain(key);
+                }
+            });
+        }
+    }
+
+    #queue(key) {
+
+        if (! this.#queues.has(key)) {
+            this.#queues.set(key, {
+                active: 0,
+                queue: [],
+                starts: [],
+                timer: null,
+            });
+        }
+
+        return this.#queues.get(key);
+    }
+}
+
+function abortError() {
+    return new DOMException('This operation was aborted', 'AbortError');
+}
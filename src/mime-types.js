@@ -1,6 +1,12 @@
 export const csv = 'text/csv';
+export const eventStream = 'text/event-stream';
+export const formData = 'multipart/form-data';
 export const formUrlEncoded = 'application/x-www-form-urlencoded';
 export const html = 'text/html';
 export const jpeg = 'image/jpeg';
 export const json = 'application/json';
+export const ndjson = 'application/x-ndjson';
+export const octetStream = 'application/octet-stream';
+export const pdf = 'application/pdf';
 export const png = 'image/png';
+export const text = 'text/plain';
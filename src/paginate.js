@@ -0,0 +1,93 @@
+import {castArray, isNil} from 'lodash-es';
+
+/*
+ * Parse a `Link` header into URLs by relation type,
+ * e.g. `<https://x/?page=2>; rel="next"` to `{next: 'https://x/?page=2'}`.
+ */
+export function parseLinkHeader(value) {
+
+    const links = {};
+
+    for (const [, url, params] of String(value ?? '').matchAll(/<([^>]*)>([^,<]*)/g)) {
+
+        const rel = /;\s*rel\s*=\s*(?:"([^"]*)"|([^\s";]+))/i.exec(params);
+
+        for (const it of (rel?.[1] ?? rel?.[2] ?? '').split(/\s+/).filter(Boolean)) {
+            links[it.toLowerCase()] ??= url;
+        }
+    }
+
+    return links;
+}
+
+/*
+ * Default `next()`: follow `Link: <url>; rel="next"`.
+ */
+function nextLink({response}) {
+    return parseLinkHeader(response.headers.get('link')).next;
+}
+
+/*
+ * Iterate pages fetched with `fetch(url, options)`, yielding
+ * `{body, response, stats}` with `extension.paginate.pages`, otherwise
+ * the items of each page.
+ *
+ * Each page is a separate fetch with its own retries and stats, and
+ * rejects with HTTPError if it is not successful after its retries,
+ * as with extension.throwHttpErrors of any status.
+ * Relative next URLs are resolved against the page URL.
+ */
+export async function * paginate(fetch, url, options) {
+
+    const {paginate: {
+        itemsFrom=castArray,
+        maxItems=Infinity,
+        maxPages=Infinity,
+        next=nextLink,
+        pages=false,
+    }={}, ...extension} = options?.extension ?? {};
+
+    let pageURL = url;
+    let itemCount = 0;
+
+    for (let page = 0; page < maxPages && itemCount < maxItems; page++) {
+
+        const response = await fetch(pageURL, {
+            ...options,
+            extension: {
+                ...extension,
+                throwHttpErrors: true,
+            },
+        });
+
+        const {stats} = response.extension;
+        const body = await response.extension.body();
+
+        if (pages) {
+            yield {body, response, stats};
+        }
+        else {
+
+            const items = await itemsFrom(body, {page, response});
+
+            if (! Array.isArray(items)) {
+                throw new TypeError(`extension.paginate.itemsFrom returned ${typeof items}, expected an array`);
+            }
+
+            for (const item of items) {
+                if (itemCount++ >= maxItems) {
+                    return;
+                }
+                yield item;
+            }
+        }
+
+        const nextURL = await next({body, page, response});
+
+        if (isNil(nextURL) || nextURL === '') {
+            return;
+        }
+
+        pageURL = new URL(nextURL, response.url).href;
+    }
+}
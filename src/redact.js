@@ -0,0 +1,76 @@
+import {Request} from '#src/api.native';
+
+/*
+ * Header and query parameter names redacted by default, case-insensitive.
+ */
+export const defaultRedact = [
+    'access_token',
+    'api_key',
+    'apikey',
+    'authorization',
+    'cookie',
+    'password',
+    'proxy-authorization',
+    'secret',
+    'set-cookie',
+    'token',
+];
+
+export const redacted = '[REDACTED]';
+
+export const isRedacted = (name, names) => Boolean(names?.length)
+    && names.some(it => it.toLowerCase() === name.toLowerCase());
+
+const decode = it => {
+    try {
+        return decodeURIComponent(it.replaceAll('+', ' '));
+    }
+    catch {
+        return it;
+    }
+};
+
+/*
+ * Redact the userinfo password and query parameters in `names` of a URL string.
+ */
+export function redactURL(url, names=defaultRedact) {
+
+    if (! names?.length) {
+        return url;
+    }
+
+    const [resource, ...fragment] = String(url)
+        .split('#');
+
+    return [
+        resource
+            .replace(/^([a-z][\d+.a-z-]*:\/\/[^/:@]*:)[^/@]*@/i, `$1${redacted}@`)
+            .replaceAll(/([&?])([^&=]+)=([^&]*)/g, (match, separator, name) => (isRedacted(decode(name), names)
+                ? `${separator}${name}=${redacted}`
+                : match)),
+        ...fragment,
+    ].join('#');
+}
+
+/*
+ * Copy of a Request with its URL and headers in `names` redacted,
+ * or the request itself when nothing is redacted.
+ */
+export function redactRequest(request, names=defaultRedact) {
+
+    const url = redactURL(request.url, names);
+    const headers = [...request.headers.keys()]
+        .filter(it => isRedacted(it, names));
+
+    if (url === request.url && ! headers.length) {
+        return request;
+    }
+
+    const copy = new Request(url, request);
+
+    for (const name of headers) {
+        copy.headers.set(name, redacted);
+    }
+
+    return copy;
+}
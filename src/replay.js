@@ -0,0 +1,264 @@
+import {createHash} from 'node:crypto';
+import {mkdir, readFile, writeFile} from 'node:fs/promises';
+import {join} from 'node:path';
+import {AbortError, fetch, FetchError, Request, Response} from '#src/api.native';
+import {ReplayMissError} from '#src/errors';
+import {GET, HEAD} from '#src/http-methods';
+import {defaultRedact, isRedacted, redacted, redactURL} from '#src/redact';
+import {assign, sleep} from '#src/util';
+
+export const replayModes = [
+    'passthrough',
+    'record',
+    'replay',
+    'replay-or-record',
+];
+
+/*
+ * Transport for extension.transport recording responses of `transport`
+ * to JSON fixtures in `dir`, keyed by method, URL and body hash, and
+ * replaying them. Responses and errors of a key are replayed in the order
+ * recorded, so that retries follow the same course, then the last repeats.
+ *
+ * Modes:
+ * - `record` always sends, overwriting the fixtures of each key on first use
+ * - `replay` serves fixtures, sending unmatched requests unless `strict`
+ * - `replay-or-record` serves fixtures, recording unmatched requests
+ * - `passthrough` always sends, recording nothing
+ *
+ * Fixtures have `redact` headers and URL query parameters redacted.
+ *
+ * With `latency`, replay waits the recorded time. Replay of a recorded
+ * abort always waits it, so that the request signal, e.g. of
+ * extension.timeout, aborts as recorded.
+ */
+export function createReplayTransport({dir, latency=false, mode='replay-or-record', redact=defaultRedact, strict=false, transport=fetch}) {
+
+    if (! replayModes.includes(mode)) {
+        throw new TypeError(`Unknown replay mode '${mode}'`);
+    }
+
+    /*
+     * Fixtures loaded or recorded by key, with the next one to replay.
+     */
+    const fixtures = new Map();
+
+    const load = async (key, file) => {
+
+        if (! fixtures.has(key)) {
+            try {
+                fixtures.set(key, {
+                    recorded: JSON.parse(await readFile(file, 'utf8')).responses,
+                    replayed: 0,
+                });
+            }
+            catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                fixtures.set(key, {
+                    recorded: null,
+                    replayed: 0,
+                });
+            }
+        }
+
+        return fixtures.get(key);
+    };
+
+    return async request => {
+
+        if (mode === 'passthrough') {
+            return transport(request);
+        }
+
+        const body = [GET, HEAD].includes(request.method)
+            ? Buffer.alloc(0)
+            : Buffer.from(await request.arrayBuffer());
+
+        const key = fixtureKey(request, body);
+        const file = join(dir, fixtureFile(request, key));
+        const fixture = mode === 'record'
+            ? fixtures.get(key)
+            : await load(key, file);
+
+        if (mode !== 'record' && fixture.recorded && ! fixture.isRecording) {
+            const {recorded} = fixture;
+            const entry = recorded[Math.min(fixture.replayed++, recorded.length - 1)];
+            return replay(entry, request, latency);
+        }
+
+        if (mode === 'replay' && strict) {
+            throw new ReplayMissError(`No fixture for ${request.method} '${redactURL(request.url, redact)}' in ${file}`, {
+                file,
+                key,
+            });
+        }
+
+        const send = new Request(request, {
+            body: body.length ? body : null,
+        });
+
+        if (mode === 'replay') {
+            return transport(send);
+        }
+
+        return record(transport, send, async entry => {
+
+            if (entry.headers) {
+                entry.headers = entry.headers
+                    .map(([name, value]) => [name, isRedacted(name, redact) ? redacted : value]);
+                entry.url = redactURL(entry.url, redact);
+            }
+
+            const current = fixtures.get(key);
+            const recorded = current?.isRecording
+                ? [...current.recorded, entry]
+                : [entry];
+
+            fixtures.set(key, {
+                isRecording: true,
+                recorded,
+                replayed: recorded.length,
+            });
+
+            await mkdir(dir, {recursive: true});
+            await writeFile(file, `${JSON.stringify({
+                request: {
+                    method: request.method,
+                    url: redactURL(request.url, redact),
+                    bodyHash: hash(body),
+                },
+                responses: recorded,
+            }, null, 4)}\n`);
+        });
+    };
+}
+
+function hash(it) {
+    return createHash('sha256')
+        .update(it)
+        .digest('hex');
+}
+
+function fixtureKey({method, url}, body) {
+    return hash(`${method} ${url}\n${hash(body)}`);
+}
+
+/*
+ * E.g. `GET-localhost-request-1a2b3c4d5e6f.json`.
+ */
+function fixtureFile({method, url}, key) {
+
+    const {hostname, pathname} = new URL(url);
+    const slug = `${hostname}${pathname}`
+        .replaceAll(/[^\d.A-Za-z]+/g, '-')
+        .replace(/-$/, '')
+        .slice(0, 60);
+
+    return `${method}-${slug}-${key.slice(0, 12)}.json`;
+}
+
+/*
+ * Send and store the response, or the error, and time taken.
+ */
+async function record(transport, request, store) {
+
+    const startTime = Date.now();
+
+    try {
+        const response = await transport(request);
+        const body = Buffer.from(await response.arrayBuffer());
+        const text = body.toString();
+        const {headers, status, statusText, url} = response;
+
+        await store({
+            status,
+            statusText,
+            headers: [...headers],
+            url,
+            ...(Buffer.from(text)
+                .equals(body)
+                ? {body: text}
+                : {bodyBase64: body.toString('base64')}),
+            time: Date.now() - startTime,
+        });
+
+        return new Response(body.length ? body : null, {
+            headers,
+            status,
+            statusText,
+            url,
+        });
+    }
+    catch (error) {
+        if (error instanceof TypeError) {
+            // Invalid request, not a recordable outcome.
+            throw error;
+        }
+
+        const {code, errno, message, name, type} = error.cause || error;
+
+        await store({
+            error: {
+                code,
+                errno,
+                message,
+                name,
+                type,
+            },
+            time: Date.now() - startTime,
+        });
+
+        throw error;
+    }
+}
+
+async function replay(entry, request, latency) {
+
+    const {signal} = request;
+
+    if (latency || entry.error?.name === 'AbortError') {
+        await sleep(entry.time, {signal});
+    }
+
+    if (signal?.aborted) {
+        throw new DOMException('This operation was aborted', 'AbortError');
+    }
+
+    if (entry.error) {
+        throw replayError(entry.error);
+    }
+
+    const {body, bodyBase64, headers, status, statusText, url} = entry;
+    const buffer = bodyBase64
+        ? Buffer.from(bodyBase64, 'base64')
+        : Buffer.from(body);
+
+    return new Response(buffer.length ? buffer : null, {
+        headers,
+        status,
+        statusText,
+        url,
+    });
+}
+
+/*
+ * Error as thrown when recorded, a node-fetch FetchError or AbortError
+ * where it was one.
+ */
+function replayError({code, errno, message, name, type}) {
+
+    if (name === 'AbortError') {
+        return new AbortError(message, type);
+    }
+
+    const error = name === 'FetchError'
+        ? new FetchError(message, type)
+        : assign(new Error(message), {name});
+
+    return assign(error, {
+        code,
+        errno,
+    });
+}
@@ -0,0 +1,96 @@
+import {parseMediaType, textDecoder} from '#src/body-parsers';
+
+/*
+ * Decode a response body to lines as it streams.
+ * A trailing '\r' is held back in case '\n' follows in the next chunk.
+ */
+export async function * readLines(response) {
+
+    if (! response.body) {
+        return;
+    }
+
+    const decoder = textDecoder(parseMediaType(response.headers.get('content-type')).charset);
+
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+
+        buffer += decoder.decode(chunk, {stream: true});
+
+        const lines = buffer.split(/\r\n|\r(?!$)|\n/);
+
+        buffer = lines.pop();
+        yield * lines;
+    }
+
+    buffer = (buffer + decoder.decode()).replace(/\r$/, '');
+
+    if (buffer) {
+        yield buffer;
+    }
+}
+
+/*
+ * Parse newline-delimited JSON as it streams, skipping blank lines.
+ */
+export async function * parseNDJSON(lines) {
+
+    for await (const line of lines) {
+        if (line.trim()) {
+            yield JSON.parse(line);
+        }
+    }
+}
+
+/*
+ * Parse Server-Sent Events as it streams:
+ * https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation
+ *
+ * Yields `{data, event, id}`. `state.lastEventId` and `state.retry`
+ * persist across events, and reconnects.
+ */
+export async function * parseEvents(lines, state={}) {
+
+    let data = [];
+    let event = '';
+
+    for await (const line of lines) {
+
+        if (line === '') {
+            if (data.length) {
+                yield {
+                    data: data.join('\n'),
+                    event: event || 'message',
+                    id: state.lastEventId,
+                };
+            }
+            data = [];
+            event = '';
+            continue;
+        }
+
+        if (line.startsWith(':')) {
+            // Comment, e.g. keep-alive.
+            continue;
+        }
+
+        const index = line.indexOf(':');
+        const field = index < 0 ? line : line.slice(0, index);
+        const value = index < 0 ? '' : line.slice(index + 1)
+            .replace(/^ /, '');
+
+        if (field === 'data') {
+            data.push(value);
+        }
+        else if (field === 'event') {
+            event = value;
+        }
+        else if (field === 'id' && ! value.includes('\0')) {
+            state.lastEventId = value;
+        }
+        else if (field === 'retry' && /^\d+$/.test(value)) {
+            state.retry = parseInt(value, 10);
+        }
+    }
+}
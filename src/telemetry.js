@@ -0,0 +1,225 @@
+import {isNil, omit} from 'lodash-es';
+import {redactURL} from '#src/redact';
+
+/*
+ * Context key of the active span, as created by @opentelemetry/api
+ * with Symbol.for() so it is shared without depending on the package.
+ */
+const spanKey = Symbol.for('OpenTelemetry Context Key SPAN');
+
+const spanKindClient = 2;
+const spanStatusError = 2;
+
+/*
+ * Immutable context as @opentelemetry/api ROOT_CONTEXT,
+ * used when no extension.traceContext is given.
+ */
+function createContext(values=new Map()) {
+    return {
+        getValue: key => values.get(key),
+        setValue: (key, value) => createContext(new Map(values).set(key, value)),
+        deleteValue: key => {
+            const next = new Map(values);
+            next.delete(key);
+            return createContext(next);
+        },
+    };
+}
+
+/*
+ * W3C trace context header value for a span.
+ */
+function traceparent(span) {
+
+    const {traceFlags=0, spanId, traceId} = span.spanContext();
+
+    return `00-${traceId}-${spanId}-${traceFlags.toString(16)
+        .padStart(2, '0')}`;
+}
+
+/*
+ * OpenTelemetry instrumentation of a fetchEx() call with an
+ * extension.tracer and/or extension.meter of the OpenTelemetry API shape.
+ * A parent span covers the call and a child span each attempt,
+ * with HTTP semantic convention attributes, url.full redacted as in `stats`.
+ */
+export class Telemetry {
+
+    #attemptSpan;
+    #attributes;
+    #histograms;
+    #parentContext;
+    #span;
+    #stats;
+    #tracer;
+
+    constructor({meter, traceContext, tracer}, {method, redact, url}) {
+
+        const {hostname, port, protocol} = new URL(url);
+
+        this.#attributes = {
+            'http.request.method': method,
+            'server.address': hostname,
+            'server.port': Number(port) || (protocol === 'https:' ? 443 : 80),
+            'url.full': redactURL(url, redact),
+        };
+
+        if (tracer) {
+            this.#tracer = tracer;
+            this.#span = tracer.startSpan(method, {
+                attributes: this.#attributes,
+                kind: spanKindClient,
+            }, traceContext);
+            this.#parentContext = (traceContext ?? createContext())
+                .setValue(spanKey, this.#span);
+        }
+
+        if (meter) {
+            this.#histograms = {
+                attempt: meter.createHistogram('http.client.request.duration', {
+                    description: 'Duration of each attempt',
+                    unit: 's',
+                }),
+                attempts: meter.createHistogram('fetch_ex.request.attempts', {
+                    description: 'Attempts per fetchEx() call',
+                    unit: '{attempt}',
+                }),
+                duration: meter.createHistogram('fetch_ex.request.duration', {
+                    description: 'Duration of fetchEx() calls, including retry delay and queue time',
+                    unit: 's',
+                }),
+            };
+        }
+    }
+
+    /*
+     * Start an attempt span, returning its `traceparent` header value.
+     */
+    startAttempt(attempt) {
+
+        if (! this.#tracer) {
+            return undefined;
+        }
+
+        this.#attemptSpan = this.#tracer.startSpan(this.#attributes['http.request.method'], {
+            attributes: {
+                ...this.#attributes,
+                ...(attempt > 1 && {
+                    'http.request.resend_count': attempt - 1,
+                }),
+            },
+            kind: spanKindClient,
+        }, this.#parentContext);
+
+        return traceparent(this.#attemptSpan);
+    }
+
+    endAttempt(run) {
+
+        if (! this.#attemptSpan) {
+            return;
+        }
+
+        Telemetry.#endSpan(this.#attemptSpan, Telemetry.#resultAttributes(run), run.failed && run.error);
+        this.#attemptSpan = undefined;
+    }
+
+    /*
+     * Record histograms from the stats of a completed call.
+     */
+    complete(stats) {
+
+        this.#stats = stats;
+
+        if (! this.#histograms) {
+            return;
+        }
+
+        const attempts = stats.runs
+            .filter(it => ! it.lost);
+
+        for (const run of attempts) {
+            this.#histograms.attempt.record(run.time / 1000, {
+                ...this.#metricAttributes(),
+                ...Telemetry.#resultAttributes(run),
+            });
+        }
+
+        const attributes = {
+            ...this.#metricAttributes(),
+            ...Telemetry.#resultAttributes(stats.lastRun),
+        };
+
+        this.#histograms.attempts.record(attempts.length, attributes);
+        this.#histograms.duration.record((stats.totalFetchTime + stats.totalDelay + stats.totalQueueTime) / 1000, attributes);
+    }
+
+    /*
+     * End the call span, and an attempt span left open by a thrown error.
+     */
+    end(error) {
+
+        if (this.#attemptSpan) {
+            Telemetry.#endSpan(this.#attemptSpan, {}, error);
+        }
+
+        if (! this.#span) {
+            return;
+        }
+
+        const lastRun = this.#stats?.lastRun;
+        const attempts = this.#stats?.runs
+            .filter(it => ! it.lost).length;
+
+        Telemetry.#endSpan(this.#span, {
+            ...(lastRun && Telemetry.#resultAttributes(lastRun)),
+            ...(attempts > 1 && {
+                'http.request.resend_count': attempts - 1,
+            }),
+            ...(error && {
+                'error.type': Telemetry.#errorType(error),
+            }),
+        }, error);
+    }
+
+    /*
+     * Without the high-cardinality url.full.
+     */
+    #metricAttributes() {
+        return omit(this.#attributes, 'url.full');
+    }
+
+    static #endSpan(span, attributes, error) {
+
+        span.setAttributes(attributes);
+
+        if (error) {
+            span.recordException(error);
+        }
+
+        if (error || attributes['error.type']) {
+            span.setStatus({
+                code: spanStatusError,
+                message: error?.message,
+            });
+        }
+
+        span.end();
+    }
+
+    static #resultAttributes({error, status}) {
+
+        return {
+            ...(! isNil(status) && {
+                'http.response.status_code': status,
+            }),
+            ...(error
+                ? {'error.type': Telemetry.#errorType(error)}
+                : status >= 400 && {'error.type': String(status)}),
+        };
+    }
+
+    static #errorType(error) {
+        return error.code || error.name || 'Error';
+    }
+}
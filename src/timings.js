@@ -0,0 +1,85 @@
+import http from 'node:http';
+import https from 'node:https';
+import {performance} from 'node:perf_hooks';
+import {isFunction} from 'lodash-es';
+
+/*
+ * Wrap an `agent` option of node-fetch (an Agent, a function of the URL
+ * or none for the global agents) so that `onRequest(timings)` is called
+ * with the phase timings of each request, filled in as socket events arrive.
+ */
+export function timingAgent(agent, onRequest) {
+
+    return parsedURL => {
+
+        const base = (isFunction(agent) ? agent(parsedURL) : agent)
+            || (parsedURL.protocol === 'https:' ? https.globalAgent : http.globalAgent);
+
+        /*
+         * Inherits the agent's settings and socket pool.
+         */
+        const timed = Object.create(base);
+
+        timed.addRequest = (request, options) => {
+            onRequest(trackTimings(request));
+            return base.addRequest(request, options);
+        };
+
+        return timed;
+    };
+}
+
+/*
+ * Durations in ms of each phase: `dns`, `tcp`, `tls` (0 for a reused socket),
+ * `ttfb` from connected to response headers, `download` of the body once read,
+ * and `total`.
+ */
+function trackTimings(request) {
+
+    const since = from => Math.round(performance.now() - from);
+    const start = performance.now();
+    const timings = {
+        dns: 0,
+        tcp: 0,
+        tls: 0,
+    };
+
+    let connected = start;
+
+    request.once('socket', socket => {
+
+        if (! socket.connecting) {
+            return;
+        }
+
+        let lookedUp = start;
+
+        socket.once('lookup', () => {
+            timings.dns = since(start);
+            lookedUp = performance.now();
+        });
+        socket.once('connect', () => {
+            timings.tcp = since(lookedUp);
+            connected = performance.now();
+        });
+        socket.once('secureConnect', () => {
+            timings.tls = since(connected);
+            connected = performance.now();
+        });
+    });
+
+    request.once('response', response => {
+
+        const received = performance.now();
+
+        timings.ttfb = since(connected);
+        timings.total = since(start);
+
+        response.once('end', () => {
+            timings.download = since(received);
+            timings.total = since(start);
+        });
+    });
+
+    return timings;
+}
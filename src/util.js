@@ -1,10 +1,72 @@
+import {setTimeout as timeout} from 'node:timers/promises';
 import {ms} from 'space-time';
 
-export {ms} from 'space-time';
+export {bytes, ms} from 'space-time';
 
 export const {assign, defineProperties} = Object;
 
-export const sleep = time => new Promise(resolve => setTimeout(resolve, ms(time)));
+/*
+ * Rejects with AbortError if `signal` aborts before `time` has elapsed.
+ */
+export const sleep = (time, {signal}={}) => timeout(ms(time), undefined, {signal});
+
+/*
+ * Forward abort from any of `signals` to a single signal.
+ * Equivalent to AbortSignal.any() which is unavailable before Node 20.3.
+ */
+export const anySignal = signals => {
+
+    const controller = new AbortController();
+
+    const clear = () => {
+        for (const signal of signals) {
+            signal.removeEventListener('abort', onAbort);
+        }
+    };
+
+    const onAbort = ({target}) => {
+        clear();
+        controller.abort(target.reason);
+    };
+
+    for (const signal of signals) {
+        if (signal.aborted) {
+            clear();
+            controller.abort(signal.reason);
+            break;
+        }
+        signal.addEventListener('abort', onAbort);
+    }
+
+    return {
+        clear,
+        signal: controller.signal,
+    };
+};
+
+/*
+ * Call `onIdle` unless touch() is called at least every `time` ms.
+ * With `paused`, the timer only starts once touched.
+ */
+export const idleTimer = (time, onIdle, {paused=false}={}) => {
+
+    let timer;
+
+    const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(onIdle, time)
+            .unref();
+    };
+
+    if (! paused) {
+        touch();
+    }
+
+    return {
+        clear: () => clearTimeout(timer),
+        touch,
+    };
+};
 
 export const countOf = (it, subject='item') => {
 
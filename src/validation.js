@@ -0,0 +1,101 @@
+import {isFunction, isNil, toPath} from 'lodash-es';
+import {ResponseValidationError} from '#src/errors';
+
+/*
+ * Validate `body` against a schema shaped like:
+ * - `{parse}` (e.g. zod), returning the parsed value or throwing.
+ * - `{validate}` (e.g. yup, joi), resolving or throwing, or returning `{error}`.
+ * - A function (e.g. ajv compiled), returning false or throwing.
+ */
+export async function validateBody(schema, body) {
+
+    let result;
+
+    try {
+        if (isFunction(schema?.parse)) {
+            return await schema.parse(body);
+        }
+
+        if (isFunction(schema?.validate)) {
+            result = await schema.validate(body);
+        }
+        else if (isFunction(schema)) {
+            result = await schema(body);
+        }
+        else {
+            throw new TypeError('Schema must have parse() or validate() or be a function');
+        }
+    }
+    catch (error) {
+        if (error instanceof TypeError && ! hasIssues(error)) {
+            throw error;
+        }
+        throw invalid(body, toIssues(error));
+    }
+
+    if (result === false) {
+        throw invalid(body, toIssues(schema.errors));
+    }
+
+    if (result?.error) {
+        throw invalid(body, toIssues(result.error));
+    }
+
+    return body;
+}
+
+export function issueSummary(issues) {
+    return issues
+        .map(({path, message}) => (path.length ? `${path.join('.')}: ${message}` : message))
+        .join('; ');
+}
+
+function invalid(body, issues) {
+    return new ResponseValidationError(`Response body failed validation (${issueSummary(issues)})`, {
+        body,
+        issues,
+    });
+}
+
+function hasIssues(error) {
+    return ['issues', 'details', 'inner']
+        .some(it => Array.isArray(error[it]));
+}
+
+/*
+ * Normalize to [{path: [String], message}].
+ */
+function toIssues(source) {
+
+    const list = Array.isArray(source)
+        ? source
+        : source?.issues || source?.details || (source?.inner?.length && source.inner);
+
+    if (! list) {
+        return [{
+            path: toIssuePath(source?.path),
+            message: source?.message || 'Invalid',
+        }];
+    }
+
+    return list.map(it => ({
+        path: toIssuePath(it.path ?? it.instancePath),
+        message: it.message,
+    }));
+}
+
+function toIssuePath(path) {
+
+    if (isNil(path) || path === '') {
+        return [];
+    }
+
+    if (Array.isArray(path)) {
+        return path.map(String);
+    }
+
+    return path.startsWith('/')
+        // JSON pointer, e.g. ajv instancePath.
+        ? path.slice(1).split('/')
+        : toPath(path);
+}
@@ -23,12 +23,16 @@ app.use((req, res, next) => {
 
 app.use('/request', async (req, res) => {
 
-    const {status=200, text, json, delay} = req.query;
+    const {status=200, text, json, delay, headers} = req.query;
 
     if (delay) {
         await sleep(delay);
     }
 
+    if (headers) {
+        res.set(JSON.parse(headers));
+    }
+
     if (json) {
         res.set('content-type', mimeTypes.json);
     }
@@ -37,6 +41,66 @@ app.use('/request', async (req, res) => {
     res.send(text || json);
 });
 
+app.use('/echo', (req, res) => {
+    res.set({
+        'content-type': req.get('content-type'),
+        'x-content-length': req.get('content-length') ?? '',
+    });
+    req.pipe(res);
+});
+
+/*
+ * Text `chunks` written every `interval` ms after the headers.
+ */
+app.use('/chunks', async (req, res) => {
+
+    const {chunks=3, interval=0, headers} = req.query;
+
+    if (headers) {
+        res.set(JSON.parse(headers));
+    }
+
+    res.set('content-type', mimeTypes.text);
+    res.flushHeaders();
+
+    for (let i = 0; i < chunks; i++) {
+        await sleep(interval);
+        res.write(`chunk ${i}\n`);
+    }
+
+    res.end();
+});
+
+/*
+ * Server-Sent Events resuming after Last-Event-ID, until 204 once all are sent.
+ */
+const events = [
+    'retry: 10\r\n: keep-alive\r\nid: 1\r\ndata: first\r\n\r\n',
+    'event: update\nid: 2\ndata: second\ndata: lines\n\n',
+    'id: 3\ndata: third\n\n',
+];
+
+app.use('/events', async (req, res) => {
+
+    const next = events.slice(parseInt(req.get('last-event-id') || '0', 10))
+        .slice(0, 2);
+
+    if (! next.length) {
+        res.status(204)
+            .end();
+        return;
+    }
+
+    res.set('content-type', mimeTypes.eventStream);
+
+    for (const chunk of next.join('').match(/[^]{1,7}/g)) {
+        res.write(chunk);
+        await sleep(1);
+    }
+
+    res.end();
+});
+
 export default new Promise((resolve, reject) => {
 
     const origin = `http://localhost:${port}`;
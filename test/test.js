@@ -1,12 +1,43 @@
+import {mkdtemp, readdir, rm} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {Readable} from 'node:stream';
 import agentKeepAlive from 'agentkeepalive';
 import chai, {expect} from 'chai';
 import chaiAsPromised from 'chai-as-promised';
-import {isNil} from 'lodash-es';
-import {fetchEx, isHeaders, Response} from '../index.js';
+import {cloneDeep, isNil, sum} from 'lodash-es';
+import {
+    Blob,
+    CircuitBreaker,
+    CircuitOpenError,
+    createClient,
+    createReplayTransport,
+    DeadlineError,
+    fetch,
+    FetchError,
+    fetchEx,
+    FormData,
+    harRecorder,
+    Headers,
+    HTTPError,
+    isHeaders,
+    Limiter,
+    MemoryCache,
+    mimeTypes,
+    parseLinkHeader,
+    QueueFullError,
+    ReplayMissError,
+    Response,
+    ResponseValidationError,
+} from '../index.js';
 import testServer from './server.js';
+import {hedgeDelay} from '#src/hedge';
+import {sleep} from '#src/util';
 
 chai.use(chaiAsPromised);
 
+const {assign, defineProperty} = Object;
+
 const context = {};
 
 before(async () => {
@@ -129,6 +160,308 @@ describe('fetchEx()', () => {
             .to.include('failed with AbortError (Timeout <100 ms>) after 3 attempts');
     });
 
+    it('should apply extension.retry backoff strategy and maxDelay', async () => {
+
+        const url = context.testRequestURL({
+            status: 500,
+        });
+
+        const samples = [
+            [
+                {
+                    backoff: 'exponential',
+                    delay: 20,
+                    maxDelay: 50,
+                },
+                [0, 20, 40, 50],
+            ],
+            [
+                {
+                    backoff: 'linear',
+                    delay: 10,
+                },
+                [0, 10, 20, 30],
+            ],
+            [
+                {
+                    backoff: attemptIndex => `${attemptIndex * 5} ms`,
+                },
+                [0, 0, 5, 10],
+            ],
+        ];
+
+        for (const [retry, expected] of samples) {
+
+            const response = await fetchEx(url, {
+                extension: {
+                    retry: {
+                        limit: 3,
+                        ...retry,
+                    },
+                },
+            });
+
+            const {stats} = response.extension;
+
+            expect(stats.runs.map(it => it.delay))
+                .to.eql(expected);
+            expect(stats.totalDelay)
+                .to.equal(sum(expected));
+            expect(stats.fail)
+                .to.include(`after 4 attempts with ${sum(expected)} ms total retry delay`);
+        }
+    });
+
+    it('should apply extension.retry jitter within bounds', async () => {
+
+        const url = context.testRequestURL({
+            status: 500,
+        });
+
+        const response = await fetchEx(url, {
+            extension: {
+                retry: {
+                    limit: 3,
+                    delay: 20,
+                    jitter: 'full',
+                },
+            },
+        });
+
+        for (const {delay} of response.extension.stats.runs) {
+            expect(delay)
+                .to.be.within(0, 20);
+        }
+    });
+
+    it('should honor Retry-After and rate-limit headers', async () => {
+
+        const samples = [
+            [
+                {'retry-after': '0'},
+                429,
+            ],
+            [
+                {'retry-after': new Date(Date.now() - 1000).toUTCString()},
+                503,
+            ],
+            [
+                {'x-ratelimit-reset': `${Math.floor(Date.now() / 1000) - 1}`},
+                429,
+            ],
+            [
+                {'ratelimit-reset': '0', 'ratelimit-remaining': '0'},
+                503,
+            ],
+        ];
+
+        for (const [headers, status] of samples) {
+
+            const url = context.testRequestURL({
+                status,
+                headers: JSON.stringify(headers),
+            });
+
+            const response = await fetchEx(url, {
+                extension: {
+                    retry: {
+                        delay: '10 s',
+                    },
+                },
+            });
+
+            const {runs} = response.extension.stats;
+            const [source, value] = Object.entries(headers)[0];
+
+            expect(runs.length)
+                .to.equal(2);
+            expect(runs[0].retryAfter)
+                .to.eql({source, value, delay: 0});
+            expect(runs[1].delay)
+                .to.equal(0);
+        }
+
+        // A quota window reset on another status is not a retry delay.
+        const response = await fetchEx(context.testRequestURL({
+            status: 500,
+            headers: JSON.stringify({
+                'x-ratelimit-remaining': '10',
+                'x-ratelimit-reset': '3600',
+            }),
+        }), {
+            extension: {
+                retry: {
+                    delay: 5,
+                },
+            },
+        });
+
+        const {runs} = response.extension.stats;
+
+        expect(runs[0].retryAfter)
+            .to.be.undefined;
+        expect(runs[1].delay)
+            .to.equal(5);
+    });
+
+    it('should give up when Retry-After exceeds extension.retry.maxRetryAfter', async () => {
+
+        const url = context.testRequestURL({
+            status: 429,
+            headers: JSON.stringify({'retry-after': '120'}),
+        });
+
+        const response = await fetchEx(url, {
+            extension: {
+                retry: {
+                    maxRetryAfter: '1 m',
+                },
+            },
+        });
+
+        const {stats} = response.extension;
+
+        expect(stats.runs.length)
+            .to.equal(1);
+        expect(stats.fail)
+            .to.include('failed with status 429 after 1 attempt (gave up: retry-after of 120000 ms exceeds retry.maxRetryAfter)');
+    });
+
+    it('should support extension.retry statusCodes, errorCodes and shouldRetry', async () => {
+
+        const conflictResponse = await fetchEx(context.testRequestURL({status: 409}), {
+            extension: {
+                retry: {
+                    delay: 0,
+                    statusCodes: [409],
+                },
+            },
+        });
+
+        expect(conflictResponse.extension.stats.runs.length)
+            .to.equal(2);
+
+        const hookCalls = [];
+        const notImplementedResponse = await fetchEx(context.testRequestURL({status: 501}), {
+            extension: {
+                retry: {
+                    delay: 0,
+                    async shouldRetry({response, attempt}) {
+                        hookCalls.push(attempt);
+                        return response.status !== 501;
+                    },
+                },
+            },
+        });
+
+        expect(notImplementedResponse.extension.stats.runs.length)
+            .to.equal(1);
+        expect(hookCalls)
+            .to.eql([1]);
+
+        let stats;
+
+        await expect(fetchEx('https://localhost-must-not-exist.com', {
+                extension: {
+                    retry: {
+                        delay: 0,
+                        errorCodes: [],
+                    },
+                    onComplete(runStats) {
+                        stats = runStats;
+                    },
+                },
+            }))
+            .to.be.rejected;
+
+        expect(stats.runs.length)
+            .to.equal(1);
+    });
+
+    it('should bound all attempts and delays with extension.deadline', async () => {
+
+        const samples = [
+            [
+                {
+                    delay: 400,
+                },
+                {
+                    deadline: 250,
+                    timeout: 100,
+                    retry: {
+                        limit: 5,
+                        delay: 0,
+                    },
+                },
+                'exceeded deadline <250 ms> after 3 attempts',
+                2,
+            ],
+            [
+                {
+                    status: 500,
+                },
+                {
+                    deadline: '200 ms',
+                    retry: {
+                        limit: 5,
+                        delay: '1 s',
+                    },
+                },
+                'exceeded deadline <200 ms> after 1 attempt',
+                0,
+            ],
+            [
+                {
+                    status: 500,
+                },
+                {
+                    // Too little budget would be left after the delay.
+                    deadline: 100,
+                    retry: {
+                        limit: 5,
+                        delay: 85,
+                    },
+                },
+                'exceeded deadline <100 ms> after 1 attempt',
+                0,
+            ],
+        ];
+
+        for (const [input, extension, failMessage, retries] of samples) {
+
+            let stats;
+            let retried = 0;
+
+            const error = await fetchEx(context.testRequestURL(input), {
+                    extension: {
+                        ...extension,
+                        hooks: {
+                            beforeRetry: [
+                                () => {
+                                    retried++;
+                                },
+                            ],
+                        },
+                        onComplete(runStats) {
+                            stats = runStats;
+                        },
+                    },
+                })
+                .catch(error => error);
+
+            expect(error)
+                .to.be.instanceOf(DeadlineError);
+            expect(error.stats)
+                .to.equal(stats);
+            expect(stats.deadlineExceeded)
+                .to.be.true;
+            expect(stats.fail)
+                .to.include(failMessage);
+            expect(retried)
+                .to.equal(retries);
+        }
+    });
+
     it('should have retry behaviour nullified by user-specified abort controller', async () => {
 
         let stats;
@@ -165,6 +498,51 @@ describe('fetchEx()', () => {
             .to.include('failed with AbortError (User-specified) after 1 attempt');
     });
 
+    it('should combine extension.timeout with user-specified abort controller', async () => {
+
+        const timeout = 100;
+        const url = context.testRequestURL({
+            delay: timeout * 2,
+        });
+
+        const samples = [
+            // User abort during an attempt.
+            [timeout * 2.5, 2, 'failed with AbortError (User-specified) after 2 attempts'],
+            // User abort while waiting to retry.
+            [timeout * 1.5, 1, 'failed with AbortError (User-specified) while waiting to retry after 1 attempt'],
+        ];
+
+        for (const [abortAfter, attempts, failMessage] of samples) {
+
+            let stats;
+            const controller = new AbortController();
+
+            setTimeout(() => {
+                controller.abort('User-specified');
+            }, abortAfter);
+
+            await expect(fetchEx(url, {
+                    signal: controller.signal,
+                    extension: {
+                        timeout,
+                        retry: {
+                            limit: 5,
+                            delay: timeout,
+                        },
+                        onComplete(runStats) {
+                            stats = runStats;
+                        },
+                    },
+                }))
+                .to.be.rejected;
+
+            expect(stats.runs.length)
+                .to.equal(attempts);
+            expect(stats.fail)
+                .to.include(failMessage);
+        }
+    });
+
     it('should handle broken request inputs as native fetch except for extension behaviour', async () => {
 
         let stats;
@@ -188,69 +566,1674 @@ describe('fetchEx()', () => {
             .to.include('failed with FetchError (ENOTFOUND) after 4 attempts');
     });
 
-    it('should accept a custom agent as supported by node-fetch', async () => {
+    it('should run extension.hooks on every attempt', async () => {
 
-        const agents = {
-            http: new agentKeepAlive(),
-            https: new agentKeepAlive
-                .HttpsAgent(),
-        };
+        const calls = [];
 
-        const agentResolver = url => (url.protocol === 'https:')
-            ? agents.https
-            : agents.http;
+        const response = await fetchEx(context.testRequestURL({status: 500}), {
+            extension: {
+                debug: true,
+                retry: {
+                    delay: 0,
+                },
+                hooks: {
+                    beforeRequest: [
+                        (request, {attempt}) => {
+                            calls.push(`beforeRequest ${attempt}`);
+                            request.headers.set('x-attempt', `${attempt}`);
+                        },
+                    ],
+                    beforeRetry: [
+                        ({attempt, response}) => {
+                            calls.push(`beforeRetry ${attempt} ${response.status}`);
+                        },
+                    ],
+                    afterResponse: [
+                        (_response, {attempt}) => {
+                            calls.push(`afterResponse ${attempt}`);
+                            if (attempt === 2) {
+                                return new Response('replaced', {status: 200});
+                            }
+                        },
+                    ],
+                },
+            },
+        });
 
-        const url = context
-            .testRequestURL();
+        const {runs} = response.extension.stats;
 
-        const fetches = Array(5)
-            .fill()
-            .map(() => fetchEx(url, {
+        expect(calls)
+            .to.eql([
+                'beforeRequest 1',
+                'afterResponse 1',
+                'beforeRetry 2 500',
+                'beforeRequest 2',
+                'afterResponse 2',
+            ]);
+        expect(await response.text())
+            .to.equal('replaced');
+        expect(runs.map(it => it.status))
+            .to.eql([500, 200]);
+        expect(runs[1].request.headers.get('x-attempt'))
+            .to.equal('2');
+        expect(runs[0].hooks)
+            .to.have.all.keys('beforeRequest', 'afterResponse');
+        expect(runs[1].hooks)
+            .to.have.all.keys('beforeRetry', 'beforeRequest', 'afterResponse');
+
+        const error = await fetchEx('https://localhost-must-not-exist.com', {
                 extension: {
-                    agent: agentResolver,
-                    log: {
-                        // eslint-disable-next-line no-console
-                        ok: console.log,
+                    retry: {
+                        limit: 0,
+                    },
+                    hooks: {
+                        beforeError: [
+                            (error, {stats}) => {
+                                error.attempts = stats.runs.length;
+                            },
+                        ],
                     },
                 },
-            }));
-
-        await Promise.all(fetches);
+            })
+            .catch(error => error);
 
-        expect(agents.http.getCurrentStatus())
-            .to.eql({
-                closeSocketCount: 0,
-                createSocketCount: 5,
-                createSocketErrorCount: 0,
-                errorSocketCount: 0,
-                freeSockets: {'localhost:8080:': 5},
-                requestCount: 5,
-                requests: {},
-                sockets: {},
-                timeoutSocketCount: 0,
-            });
+        expect(error.attempts)
+            .to.equal(1);
     });
 
-    it('should support extension.json', async () => {
+    it('should throw HTTPError for non-2xx responses with extension.throwHttpErrors', async () => {
 
-        const sourceData = {
-            foo: 1,
-        };
+        const notFoundURL = context.testRequestURL({
+            json: '{"error":"not found"}',
+            status: 404,
+        });
 
-        const url = context
-            .testRequestURL({
-                json: JSON.stringify(sourceData),
+        const error = await fetchEx(notFoundURL, {
+                extension: {
+                    throwHttpErrors: true,
+                },
+            })
+            .catch(error => error);
+
+        expect(error)
+            .to.be.instanceOf(HTTPError);
+        expect(error)
+            .to.include({
+                kind: 'client',
+                status: 404,
+                statusText: 'Not Found',
             });
+        expect(error.body)
+            .to.eql({error: 'not found'});
+        expect(error.request.url)
+            .to.equal(notFoundURL);
+        expect(error.response.status)
+            .to.equal(404);
+        expect(error.stats.runs.length)
+            .to.equal(1);
+        expect(error.stats.fail)
+            .to.equal(`Fetch of '${notFoundURL}' failed with status 404 after 1 attempt`);
+        expect(error.stats.ok)
+            .to.be.undefined;
 
-        const request = () => fetchEx(url, {
-            method: 'POST',
+        const logged = [];
+        const tokenURL = `${notFoundURL}&token=secret`;
+
+        const redactedError = await fetchEx(tokenURL, {
+                extension: {
+                    log: {
+                        fail: message => logged.push(['fail', message]),
+                        ok: message => logged.push(['ok', message]),
+                    },
+                    throwHttpErrors: true,
+                },
+            })
+            .catch(error => error);
+
+        expect(redactedError.message)
+            .to.equal(`Fetch of '${notFoundURL}&token=[REDACTED]' responded with status 404 Not Found`);
+        expect(logged)
+            .to.eql([['fail', `Fetch of '${notFoundURL}&token=[REDACTED]' failed with status 404 after 1 attempt`]]);
+
+        const response = await fetchEx(notFoundURL, {
             extension: {
-                json: sourceData,
-                debug: true,
+                throwHttpErrors: ['server'],
             },
         });
 
-        const response = await request();
+        expect(response.status)
+            .to.equal(404);
+
+        const serverError = await fetchEx(context.testRequestURL({status: 500}), {
+                extension: {
+                    retry: {
+                        delay: 0,
+                    },
+                    throwHttpErrors: status => status >= 500,
+                },
+            })
+            .catch(error => error);
+
+        expect(serverError)
+            .to.be.instanceOf(HTTPError);
+        expect(serverError.kind)
+            .to.equal('server');
+        expect(serverError.stats.runs.length)
+            .to.equal(2);
+    });
+
+    it('should retry POST with a stable extension.idempotencyKey', async () => {
+
+        const url = context.testRequestURL({status: 500});
+
+        const samples = [
+            [undefined, 1],
+            [true, 2],
+            ['order-1', 2],
+            [() => 'order-2', 2],
+        ];
+
+        for (const [idempotencyKey, attempts] of samples) {
+
+            const response = await fetchEx(url, {
+                method: 'POST',
+                extension: {
+                    debug: true,
+                    idempotencyKey,
+                    retry: {
+                        delay: 0,
+                    },
+                },
+            });
+
+            const {extension} = response;
+            const keys = extension.stats.runs
+                .map(it => it.request.headers.get('idempotency-key'));
+
+            expect(keys.length)
+                .to.equal(attempts);
+
+            if (idempotencyKey) {
+                expect(new Set(keys).size)
+                    .to.equal(1);
+                expect(extension.idempotencyKey)
+                    .to.equal(keys[0])
+                    .and.equal(extension.stats.idempotencyKey);
+            }
+            if (typeof idempotencyKey === 'string') {
+                expect(keys[0])
+                    .to.equal(idempotencyKey);
+            }
+        }
+
+        const headers = new Headers({'x-shared': 'yes'});
+        const sharedHeaderKeys = [];
+
+        for (let i = 0; i < 2; i++) {
+            const response = await fetchEx(context.testRequestURL(), {
+                method: 'POST',
+                headers,
+                extension: {
+                    idempotencyKey: true,
+                },
+            });
+            sharedHeaderKeys.push(response.extension.idempotencyKey);
+        }
+
+        expect(new Set(sharedHeaderKeys).size)
+            .to.equal(2);
+        expect([...headers])
+            .to.eql([['x-shared', 'yes']]);
+
+        let stats;
+
+        await expect(fetchEx('https://localhost-must-not-exist.com', {
+                method: 'POST',
+                extension: {
+                    retry: {
+                        delay: 0,
+                    },
+                    onComplete(runStats) {
+                        stats = runStats;
+                    },
+                },
+            }))
+            .to.be.rejected;
+
+        // Network errors are retried for any method.
+        expect(stats.runs.length)
+            .to.equal(2);
+    });
+
+    it('should replay request bodies on retry', async () => {
+
+        const url = context.testRequestURL({status: 500});
+
+        const streamBody = () => Readable.from(['chunk-1,', 'chunk-2']);
+
+        const readBodies = async runs => {
+            const bodies = [];
+            for (const {request} of runs) {
+                bodies.push(await request.text());
+            }
+            return bodies;
+        };
+
+        const samples = [
+            [
+                {
+                    body: streamBody(),
+                    retry: {maxBufferedBodySize: '1 kb'},
+                },
+                ['chunk-1,chunk-2', 'chunk-1,chunk-2'],
+            ],
+            [
+                {
+                    body: ({attempt}) => `attempt-${attempt}`,
+                },
+                ['attempt-1', 'attempt-2'],
+            ],
+            [
+                {
+                    body: streamBody(),
+                    retry: {maxBufferedBodySize: 4},
+                },
+                ['chunk-1,chunk-2'],
+                'was not retried (request body exceeds retry.maxBufferedBodySize <4>)',
+            ],
+            [
+                {
+                    body: streamBody(),
+                },
+                ['chunk-1,chunk-2'],
+                'was not retried (request body is a stream and retry.maxBufferedBodySize is not set)',
+            ],
+        ];
+
+        for (const [{body, retry}, expected, warning] of samples) {
+
+            const response = await fetchEx(url, {
+                method: 'PUT',
+                body,
+                extension: {
+                    debug: true,
+                    retry: {
+                        delay: 0,
+                        ...retry,
+                    },
+                },
+            });
+
+            const {stats} = response.extension;
+
+            expect(await readBodies(stats.runs))
+                .to.eql(expected);
+
+            if (warning) {
+                expect(stats.warn)
+                    .to.include(warning);
+                expect(stats.fail)
+                    .to.include('(gave up: request body');
+            }
+        }
+
+        // Buffered for network errors of any method, unless no retry is possible.
+        const send = async errorCodes => {
+
+            const source = streamBody();
+            let read;
+            let stats;
+
+            await expect(fetchEx('http://localhost:1/', {
+                method: 'POST',
+                body: source,
+                extension: {
+                    retry: {
+                        delay: 0,
+                        errorCodes,
+                        maxBufferedBodySize: '1 kb',
+                    },
+                    transport: request => {
+                        read ??= source.readableDidRead;
+                        return fetch(request);
+                    },
+                    onComplete(runStats) {
+                        stats = runStats;
+                    },
+                },
+            }))
+                .to.be.rejected;
+
+            return {read, runs: stats.runs.length, warn: stats.warn};
+        };
+
+        expect(await send(['ECONNREFUSED']))
+            .to.eql({read: true, runs: 2, warn: undefined});
+        expect(await send([]))
+            .to.eql({read: false, runs: 1, warn: undefined});
+    });
+
+    it('should fail fast with extension.circuitBreaker while open', async () => {
+
+        const transitions = [];
+        const circuitBreaker = new CircuitBreaker({
+            failureThreshold: 3,
+            resetTimeout: 100,
+            onStateChange: ({state}) => transitions.push(state),
+        });
+
+        const request = (input, retry={delay: 0}) => fetchEx(context.testRequestURL(input), {
+            extension: {
+                circuitBreaker,
+                retry,
+            },
+        });
+
+        const failing = await request({status: 500});
+        expect(failing.extension.stats.runs.length)
+            .to.equal(2);
+
+        // Opens on third failed attempt, stopping retries.
+        const stopped = await request({status: 500});
+        expect(stopped.extension.stats.fail)
+            .to.include(`after 1 attempt (gave up: Circuit for '${context.server.origin}' is open)`);
+
+        await expect(request({status: 200}))
+            .to.be.rejectedWith(CircuitOpenError);
+
+        await sleep(100);
+
+        // Half-open probe succeeds.
+        const probe = await request({status: 200});
+        expect(probe.status)
+            .to.equal(200);
+
+        expect(transitions)
+            .to.eql(['open', 'half-open', 'closed']);
+        expect(circuitBreaker.state(context.server.origin))
+            .to.equal('closed');
+
+        // A probe that throws before its attempt is released.
+        const probed = new CircuitBreaker({
+            failureThreshold: 1,
+            resetTimeout: 0,
+        });
+        const probedRequest = extension => fetchEx(context.testRequestURL(), {
+            extension: {
+                circuitBreaker: probed,
+                ...extension,
+            },
+        });
+
+        probed.record(context.server.origin, true);
+
+        await expect(probedRequest({
+            limiter: new Limiter({
+                maxQueueSize: 0,
+            }),
+        }))
+            .to.be.rejectedWith(QueueFullError);
+
+        expect((await probedRequest()).status)
+            .to.equal(200);
+        expect(probed.state(context.server.origin))
+            .to.equal('closed');
+    });
+
+    it('should cache responses with extension.cache', async () => {
+
+        const cache = new MemoryCache();
+
+        const request = (headers, options={}) => fetchEx(context.testRequestURL({
+            text: 'Cached',
+            headers: JSON.stringify(headers),
+        }), {
+            ...options,
+            extension: {
+                cache,
+            },
+        });
+
+        const samples = [
+            [{'cache-control': 'max-age=60'}, ['miss', 'hit']],
+            [{'cache-control': 'no-cache'}, ['miss', 'revalidated']],
+            [{'cache-control': 'no-store'}, ['miss', 'miss']],
+            [{'cache-control': 'private, max-age=60'}, ['miss', 'miss']],
+        ];
+
+        for (const [headers, expected] of samples) {
+
+            const outcomes = [];
+
+            for (let i = 0; i < expected.length; i++) {
+                const response = await request(headers);
+                const {stats} = response.extension;
+
+                expect(response.status)
+                    .to.equal(200);
+                expect(await response.text())
+                    .to.equal('Cached');
+                expect(stats.ok)
+                    .to.include(`was OK (cache ${stats.cache})`);
+
+                outcomes.push(stats.cache);
+            }
+
+            expect(outcomes)
+                .to.eql(expected);
+        }
+
+        const varyHeaders = {
+            'cache-control': 'max-age=60',
+            vary: 'x-variant',
+        };
+        const variant = value => ({
+            headers: {
+                'x-variant': value,
+            },
+        });
+
+        await request(varyHeaders, variant('a'));
+
+        const [sameVariant, otherVariant] = [
+            await request(varyHeaders, variant('a')),
+            await request(varyHeaders, variant('b')),
+        ];
+
+        expect(sameVariant.extension.stats.cache)
+            .to.equal('hit');
+        expect(otherVariant.extension.stats.cache)
+            .to.equal('miss');
+
+        const small = new MemoryCache({maxBodySize: 4});
+        const largeURLs = [
+            context.testRequestURL({
+                text: 'Too large',
+                headers: JSON.stringify({'cache-control': 'max-age=60'}),
+            }),
+            `${context.server.origin}/chunks?${new URLSearchParams({
+                headers: JSON.stringify({'cache-control': 'max-age=60'}),
+            })}`,
+        ];
+
+        for (const url of largeURLs) {
+            for (let i = 0; i < 2; i++) {
+                const response = await fetchEx(url, {
+                    extension: {
+                        cache: small,
+                    },
+                });
+
+                expect(response.extension.stats.cache)
+                    .to.equal('miss');
+                expect(await response.text())
+                    .to.match(/^(Too large|chunk 0\nchunk 1\nchunk 2\n)$/);
+            }
+        }
+
+        expect(small.size)
+            .to.equal(0);
+    });
+
+    it('should share identical in-flight requests with extension.dedupe', async () => {
+
+        const url = context.testRequestURL({
+            delay: 50,
+            json: '{"shared":true}',
+        });
+
+        const request = authorization => fetchEx(url, {
+            headers: {
+                authorization,
+            },
+            extension: {
+                dedupe: true,
+            },
+        });
+
+        const responses = await Promise.all([
+            request('a'),
+            request('a'),
+            request('a'),
+            request('b'),
+        ]);
+
+        expect(responses.map(it => it.extension.stats.dedupe))
+            .to.eql(['leader', 'joined', 'joined', 'leader']);
+
+        for (const response of responses) {
+            expect(response.url)
+                .to.equal(url);
+            expect(await response.extension.body())
+                .to.eql({shared: true});
+        }
+
+        const next = await request('a');
+
+        expect(next.extension.stats.dedupe)
+            .to.equal('leader');
+
+        const slowURL = context.testRequestURL({delay: 200});
+        const leaderController = new AbortController();
+        const slow = (signal, extension) => fetchEx(slowURL, {
+            signal,
+            extension: {
+                dedupe: true,
+                retry: {
+                    limit: 0,
+                },
+                ...extension,
+            },
+        });
+
+        const leader = slow();
+        const timedOut = slow(undefined, {
+            timeout: 50,
+        });
+        const preAborted = slow(AbortSignal.abort());
+
+        await Promise.all([
+            expect(timedOut)
+                .to.be.rejectedWith(/aborted/),
+            expect(preAborted)
+                .to.be.rejectedWith(/aborted/),
+        ]);
+        expect((await leader).status)
+            .to.equal(200);
+
+        const abortedLeader = slow(leaderController.signal);
+        const joined = slow();
+
+        await sleep(50);
+        leaderController.abort('User-specified');
+
+        await expect(abortedLeader)
+            .to.be.rejectedWith(/aborted/);
+        expect((await joined).extension.stats.dedupe)
+            .to.equal('joined');
+
+        const hedged = await fetchEx(context.testRequestURL({delay: 150}), {
+            extension: {
+                dedupe: true,
+                hedge: '50 ms',
+            },
+        });
+
+        expect(hedged.extension.stats.runs.map(it => [Boolean(it.lost), it.dedupe]))
+            .to.eql([[true, undefined], [false, 'leader']]);
+    });
+
+    it('should queue attempts with extension.limiter', async () => {
+
+        const url = context.testRequestURL({delay: 50});
+        const started = [];
+
+        const limiter = new Limiter({
+            maxConcurrent: 1,
+            maxQueueSize: 2,
+        });
+
+        // Slots are held until the body is read.
+        const request = async (name, {signal, ...extension}={}) => {
+
+            const response = await fetchEx(url, {
+                signal,
+                extension: {
+                    limiter,
+                    hooks: {
+                        beforeRequest: [
+                            () => {
+                                started.push(name);
+                            },
+                        ],
+                    },
+                    ...extension,
+                },
+            });
+
+            await response.text();
+
+            return response;
+        };
+
+        const controller = new AbortController();
+
+        const requests = [
+            request('first'),
+            request('low'),
+            request('aborted', {
+                signal: controller.signal,
+            }),
+        ];
+
+        await expect(request('overflow'))
+            .to.be.rejectedWith(QueueFullError);
+
+        controller.abort('User-specified');
+
+        expect(limiter.count(context.server.origin))
+            .to.eql({active: 1, queued: 1});
+
+        requests.push(request('high', {
+            priority: 1,
+        }));
+
+        const [first, low, aborted, high] = await Promise.allSettled(requests);
+
+        expect(aborted.status)
+            .to.equal('rejected');
+        expect(aborted.reason.name)
+            .to.equal('AbortError');
+        expect(started)
+            .to.eql(['first', 'high', 'low']);
+        expect(first.value.extension.stats.totalQueueTime)
+            .to.be.below(20);
+        expect(low.value.extension.stats.totalQueueTime)
+            .to.be.at.least(90);
+        expect(high.value.extension.stats.runs[0].queueTime)
+            .to.be.at.least(40);
+
+        const held = await fetchEx(context.testRequestURL(), {
+            extension: {
+                limiter,
+            },
+        });
+        const queued = (extension={}) => fetchEx(context.testRequestURL(), {
+            extension: {
+                limiter,
+                retry: {
+                    limit: 0,
+                },
+                ...extension,
+            },
+        });
+
+        await expect(queued({timeout: 50}))
+            .to.be.rejectedWith(/aborted/);
+        await expect(queued({deadline: 50}))
+            .to.be.rejectedWith(DeadlineError);
+
+        const next = queued();
+
+        await sleep(20);
+
+        expect(limiter.count(context.server.origin))
+            .to.eql({active: 1, queued: 1});
+
+        await held.text();
+
+        const nextResponse = await next;
+
+        expect(nextResponse.status)
+            .to.equal(200);
+        expect(await nextResponse.text())
+            .to.equal('');
+
+        // A full queue on a retry is reported as the attempt's error.
+        const full = new Limiter({
+            maxConcurrent: 1,
+            maxQueueSize: 1,
+        });
+        let stats;
+
+        const retried = fetchEx(context.testRequestURL({status: 500}), {
+            extension: {
+                limiter: full,
+                retry: {
+                    delay: 100,
+                },
+                onComplete(runStats) {
+                    stats = runStats;
+                },
+            },
+        });
+
+        await sleep(30);
+
+        const blocking = ['active', 'queued'].map(() => fetchEx(context.testRequestURL({delay: 200}), {
+            extension: {
+                limiter: full,
+            },
+        })
+            .then(it => it.text()));
+
+        await expect(retried)
+            .to.be.rejectedWith(QueueFullError);
+
+        expect(stats.runs.map(it => [it.status, it.error?.name]))
+            .to.eql([[500, undefined], [undefined, 'QueueFullError']]);
+        expect(stats.fail)
+            .to.include('after 2 attempts');
+
+        await Promise.all(blocking);
+    });
+
+    it('should send a hedge request with extension.hedge', async () => {
+
+        const url = context.testRequestURL({delay: 150});
+
+        const response = await fetchEx(url, {
+            extension: {
+                hedge: '50 ms',
+            },
+        });
+
+        const {stats} = response.extension;
+
+        expect(response.status)
+            .to.equal(200);
+        expect(stats.runs.map(it => [it.hedged, Boolean(it.lost)]))
+            .to.eql([[true, true], [true, false]]);
+        expect(stats.ok)
+            .to.match(/was OK$/);
+
+        const fast = await fetchEx(context.testRequestURL(), {
+            extension: {
+                hedge: '1 s',
+            },
+        });
+
+        expect(fast.extension.stats.runs.map(it => it.hedged))
+            .to.eql([undefined]);
+
+        // A fast retryable status loses to a slower success.
+        const origin = 'http://hedge.test';
+        let sent = 0;
+
+        const transport = async () => {
+            sent++;
+            if (sent === 1) {
+                await sleep(80);
+                return new Response('', {status: 503});
+            }
+            await sleep(100);
+            return new Response('OK');
+        };
+
+        const slower = await fetchEx(`${origin}/request`, {
+            extension: {
+                hedge: '50 ms',
+                transport,
+            },
+        });
+
+        expect(slower.status)
+            .to.equal(200);
+        expect(slower.extension.stats.runs.map(it => [Boolean(it.lost), it.status]))
+            .to.eql([[true, undefined], [false, 200]]);
+
+        // Latency is measured from the first request of the attempt.
+        expect(hedgeDelay({percentile: 50, minSamples: 1}, origin))
+            .to.be.at.least(140);
+
+        sent = 0;
+
+        const limited = await fetchEx(`${origin}/request`, {
+            extension: {
+                hedge: '50 ms',
+                limiter: new Limiter({
+                    maxConcurrent: 1,
+                }),
+                transport: async () => {
+                    sent++;
+                    await sleep(100);
+                    return new Response('OK');
+                },
+            },
+        });
+
+        expect(await limited.text())
+            .to.equal('OK');
+        expect(sent)
+            .to.equal(1);
+    });
+
+    it('should iterate pages with fetchEx.paginate()', async () => {
+
+        const last = context.testRequestURL({
+            json: JSON.stringify({items: [4], cursor: null}),
+        });
+        const second = context.testRequestURL({
+            json: JSON.stringify({items: [3], cursor: last}),
+        });
+        const first = context.testRequestURL({
+            json: JSON.stringify([1, 2]),
+            headers: JSON.stringify({
+                link: `<${second.replace(context.server.origin, '')}>; rel="next", <${last}>; rel="last"`,
+            }),
+        });
+
+        const items = [];
+
+        for await (const item of fetchEx.paginate(first)) {
+            items.push(item);
+        }
+
+        expect(items)
+            .to.eql([1, 2, {items: [3], cursor: last}]);
+
+        const cursorItems = [];
+
+        for await (const item of fetchEx.paginate(second, {
+            extension: {
+                paginate: {
+                    itemsFrom: body => body.items,
+                    next: ({body}) => body.cursor,
+                },
+            },
+        })) {
+            cursorItems.push(item);
+        }
+
+        expect(cursorItems)
+            .to.eql([3, 4]);
+
+        const pages = [];
+
+        for await (const page of fetchEx.paginate(first, {
+            extension: {
+                paginate: {
+                    maxPages: 1,
+                    pages: true,
+                },
+                retry: {
+                    limit: 2,
+                },
+            },
+        })) {
+            pages.push(page);
+        }
+
+        expect(pages.map(it => [it.body, it.response.status, it.stats.ok]))
+            .to.eql([[[1, 2], 200, `Fetch of '${first}' was OK`]]);
+
+        const limited = [];
+
+        for await (const item of fetchEx.paginate(first, {
+            extension: {
+                paginate: {
+                    maxItems: 1,
+                },
+            },
+        })) {
+            limited.push(item);
+        }
+
+        expect(limited)
+            .to.eql([1]);
+
+        const failed = context.testRequestURL({
+            json: '{"error":"boom"}',
+            status: 500,
+        });
+        const failing = context.testRequestURL({
+            json: JSON.stringify([1, 2]),
+            headers: JSON.stringify({
+                link: `<${failed}>; rel="next"`,
+            }),
+        });
+        const beforeFailure = [];
+
+        const error = await (async () => {
+            for await (const item of fetchEx.paginate(failing, {
+                extension: {
+                    redact: ['json'],
+                    retry: {
+                        delay: 0,
+                    },
+                },
+            })) {
+                beforeFailure.push(item);
+            }
+        })()
+            .catch(error_ => error_);
+
+        expect(beforeFailure)
+            .to.eql([1, 2]);
+        expect(error)
+            .to.be.instanceOf(HTTPError);
+        expect(error.message)
+            .to.include('json=[REDACTED]')
+            .and.to.include('responded with status 500');
+        expect(error.request.url)
+            .to.equal(failed);
+        expect(error.body)
+            .to.eql({error: 'boom'});
+        expect(error.stats.fail)
+            .to.include('failed with status 500 after 2 attempts');
+
+        const client = createClient({
+            baseURL: context.server.origin,
+            extension: {
+                paginate: {
+                    itemsFrom: body => body.items,
+                    next: ({body}) => body.cursor,
+                },
+            },
+        });
+        const clientItems = [];
+
+        for await (const item of client.paginate(second.replace(context.server.origin, ''))) {
+            clientItems.push(item);
+        }
+
+        expect(clientItems)
+            .to.eql([3, 4]);
+
+        expect(parseLinkHeader('<a>; rel="prev first", <b>; rel=next'))
+            .to.eql({prev: 'a', first: 'a', next: 'b'});
+    });
+
+    it('should stream events and NDJSON from response.extension', async () => {
+
+        const url = `${context.server.origin}/events`;
+
+        const collect = async iterator => {
+            const items = [];
+            for await (const it of iterator) {
+                items.push(it);
+            }
+            return items;
+        };
+
+        const response = await fetchEx(url);
+
+        expect(await collect(response.extension.events()))
+            .to.eql([
+                {data: 'first', event: 'message', id: '1'},
+                {data: 'second\nlines', event: 'update', id: '2'},
+            ]);
+
+        const reconnecting = await fetchEx(url);
+
+        expect((await collect(reconnecting.extension.events({reconnect: true})))
+            .map(it => it.data))
+            .to.eql(['first', 'second\nlines', 'third']);
+
+        // The server is down for the first reconnect.
+        let sent = 0;
+
+        const interrupted = await fetchEx(url, {
+            extension: {
+                retry: {
+                    limit: 0,
+                    delay: 0,
+                },
+                transport: async request => {
+                    if (++sent === 2) {
+                        throw assign(new Error('connect ECONNREFUSED'), {
+                            code: 'ECONNREFUSED',
+                        });
+                    }
+                    return fetch(request);
+                },
+            },
+        });
+
+        expect((await collect(interrupted.extension.events({reconnect: 2})))
+            .map(it => it.data))
+            .to.eql(['first', 'second\nlines', 'third']);
+        expect(sent)
+            .to.equal(4);
+
+        // Aborted while reconnecting.
+        const controller = new AbortController();
+        const received = [];
+        sent = 0;
+
+        const aborted = await fetchEx(url, {
+            extension: {
+                retry: {
+                    delay: 0,
+                },
+                transport: request => {
+                    if (++sent === 2) {
+                        controller.abort();
+                    }
+                    return fetch(request);
+                },
+            },
+        });
+
+        await expect((async () => {
+            for await (const event of aborted.extension.events({reconnect: true, signal: controller.signal})) {
+                received.push(event.data);
+            }
+        })())
+            .to.be.rejectedWith(/aborted/);
+
+        expect(received)
+            .to.eql(['first', 'second\nlines']);
+
+        const ndjson = await fetchEx(context.testRequestURL({
+            text: '{"a":1}\n\n{"b":2}\r\n',
+            headers: JSON.stringify({
+                'content-type': mimeTypes.ndjson,
+            }),
+        }));
+
+        expect(await collect(ndjson.extension.ndjson()))
+            .to.eql([{a: 1}, {b: 2}]);
+    });
+
+    it('should report progress and abort idle attempts', async () => {
+
+        const upload = [];
+        const download = [];
+
+        const echoed = await fetchEx(`${context.server.origin}/echo`, {
+            method: 'POST',
+            body: Readable.from(['abc', 'de']),
+            headers: {
+                'content-length': '5',
+            },
+            extension: {
+                onUploadProgress: it => upload.push(it),
+            },
+        });
+
+        expect(await echoed.text())
+            .to.equal('abcde');
+        expect(upload.at(-1))
+            .to.eql({transferred: 5, total: 5, percent: 100});
+
+        const response = await fetchEx(context.testRequestURL({text: 'x'.repeat(10)}), {
+            extension: {
+                onDownloadProgress: it => download.push(it),
+            },
+        });
+
+        expect(await response.text())
+            .to.equal('x'.repeat(10));
+        expect(download.at(-1))
+            .to.eql({transferred: 10, total: 10, percent: 100});
+
+        let stats;
+
+        await expect(fetchEx(context.testRequestURL({delay: 200}), {
+            extension: {
+                idleTimeout: '50 ms',
+                retry: {
+                    delay: 0,
+                },
+                onComplete(runStats) {
+                    stats = runStats;
+                },
+            },
+        }))
+            .to.be.rejectedWith(/aborted/);
+
+        expect(stats.fail)
+            .to.include('failed with AbortError (Idle timeout <50 ms>) after 2 attempts');
+
+        const stalled = await fetchEx(`${context.server.origin}/chunks?interval=200`, {
+            extension: {
+                idleTimeout: '50 ms',
+            },
+        });
+
+        await expect(stalled.text())
+            .to.be.rejectedWith(/Idle timeout <50 ms>/);
+
+        // Only time waiting on the network counts, not a body left unread.
+        const unread = await fetchEx(context.testRequestURL({text: 'hello'}), {
+            extension: {
+                idleTimeout: '50 ms',
+            },
+        });
+
+        await sleep(150);
+
+        expect(await unread.text())
+            .to.equal('hello');
+
+        const slowReader = await fetchEx(`${context.server.origin}/chunks`, {
+            extension: {
+                idleTimeout: '50 ms',
+            },
+        });
+        const chunks = [];
+
+        for await (const chunk of slowReader.body) {
+            chunks.push(String(chunk));
+            await sleep(100);
+        }
+
+        expect(chunks.join(''))
+            .to.equal('chunk 0\nchunk 1\nchunk 2\n');
+
+        // Bodies larger than a stream buffer, as a Blob, stream and FormData.
+        const large = Buffer.alloc(300_000, 'a');
+        const form = new FormData();
+        form.set('field', 'value');
+        form.set('file', new Blob([large]));
+
+        const uploads = [
+            [new Blob([large]), true],
+            [Readable.from([large.subarray(0, 100_000), large.subarray(100_000)]), false],
+            [form, true],
+        ];
+
+        for (const [body, hasLength] of uploads) {
+
+            const progress = [];
+
+            const uploaded = await fetchEx(`${context.server.origin}/echo`, {
+                method: 'POST',
+                body,
+                extension: {
+                    idleTimeout: '1 s',
+                    onUploadProgress: it => progress.push(it),
+                },
+            });
+
+            const size = Buffer.from(await uploaded.arrayBuffer()).length;
+            const contentLength = uploaded.headers.get('x-content-length');
+
+            expect(size)
+                .to.be.at.least(large.length);
+            expect(progress.at(-1).transferred)
+                .to.equal(size);
+
+            expect(Boolean(contentLength))
+                .to.equal(hasLength);
+
+            if (hasLength) {
+                expect(progress.at(-1))
+                    .to.eql({transferred: size, total: Number(contentLength), percent: 100});
+            }
+        }
+    });
+
+    it('should record spans and histograms with extension.tracer and extension.meter', async () => {
+
+        const spanKey = Symbol.for('OpenTelemetry Context Key SPAN');
+        const spans = [];
+        const recorded = [];
+        const traceparents = [];
+
+        const tracer = {
+            startSpan(name, {attributes, kind}, context) {
+                const span = {
+                    attributes: {...attributes},
+                    ended: false,
+                    kind,
+                    name,
+                    parent: context?.getValue(spanKey),
+                    spanContext: () => ({
+                        spanId: String(spans.indexOf(span)).padStart(16, '0'),
+                        traceFlags: 1,
+                        traceId: 'a'.repeat(32),
+                    }),
+                    end() {
+                        span.ended = true;
+                    },
+                    recordException(error) {
+                        span.exception = error;
+                    },
+                    setAttributes(it) {
+                        assign(span.attributes, it);
+                    },
+                    setStatus(it) {
+                        span.status = it;
+                    },
+                };
+                spans.push(span);
+                return span;
+            },
+        };
+
+        const meter = {
+            createHistogram: name => ({
+                record: (value, attributes) => recorded.push({name, value, attributes}),
+            }),
+        };
+
+        const url = context.testRequestURL({status: 503, token: 'secret'});
+
+        const response = await fetchEx(url, {
+            extension: {
+                meter,
+                tracer,
+                retry: {
+                    delay: 0,
+                },
+                hooks: {
+                    beforeRequest: [
+                        request => {
+                            traceparents.push(request.headers.get('traceparent'));
+                        },
+                    ],
+                },
+            },
+        });
+
+        expect(response.status)
+            .to.equal(503);
+
+        const [parent, ...attempts] = spans;
+
+        expect(spans.every(it => it.ended && it.kind === 2 && it.name === 'GET'))
+            .to.be.true;
+        expect(attempts.map(it => it.parent))
+            .to.eql([parent, parent]);
+        expect(traceparents)
+            .to.eql([
+                `00-${'a'.repeat(32)}-0000000000000001-01`,
+                `00-${'a'.repeat(32)}-0000000000000002-01`,
+            ]);
+        expect(attempts[1].attributes)
+            .to.include({
+                'error.type': '503',
+                'http.request.method': 'GET',
+                'http.request.resend_count': 1,
+                'http.response.status_code': 503,
+                'server.address': 'localhost',
+                'url.full': url.replace('secret', '[REDACTED]'),
+            });
+        expect(parent.attributes['http.request.resend_count'])
+            .to.equal(1);
+        expect(parent.status.code)
+            .to.equal(2);
+
+        expect(recorded.map(it => it.name))
+            .to.eql([
+                'http.client.request.duration',
+                'http.client.request.duration',
+                'fetch_ex.request.attempts',
+                'fetch_ex.request.duration',
+            ]);
+        expect(recorded[2].value)
+            .to.equal(2);
+        expect(recorded[2].attributes)
+            .to.not.have.property('url.full');
+    });
+
+    it('should log structured events to extension.logger with redaction', async () => {
+
+        const events = [];
+        const logger = {
+            error: it => events.push(['error', it]),
+            info: it => events.push(['info', it]),
+            warn: it => events.push(['warn', it]),
+        };
+
+        const url = context.testRequestURL({status: 503, token: 'secret', page: 2});
+        const redactedURL = url.replace('token=secret', 'token=[REDACTED]');
+
+        const response = await fetchEx(url, {
+            headers: {
+                authorization: 'Bearer secret',
+                'x-trace': 'visible',
+            },
+            extension: {
+                debug: true,
+                logger,
+                retry: {
+                    delay: 0,
+                },
+            },
+        });
+
+        const {stats} = response.extension;
+
+        expect(stats.fail)
+            .to.equal(`Fetch of '${redactedURL}' failed with status 503 after 2 attempts with 0 ms total retry delay (0 ms)`);
+        expect(stats.lastRun.request.url)
+            .to.equal(redactedURL);
+        expect(Object.fromEntries(stats.lastRun.request.headers))
+            .to.include({
+                authorization: '[REDACTED]',
+                'x-trace': 'visible',
+            });
+        expect(events)
+            .to.eql([
+                [
+                    'error',
+                    {
+                        message: stats.fail,
+                        method: 'GET',
+                        url: redactedURL,
+                        status: 503,
+                        attempts: 2,
+                        delays: [0],
+                        errors: [503, 503],
+                        timings: {
+                            maxFetchTime: stats.maxFetchTime,
+                            totalDelay: 0,
+                            totalFetchTime: stats.totalFetchTime,
+                            totalQueueTime: 0,
+                        },
+                        outcome: 'fail',
+                    },
+                ],
+            ]);
+
+        const plain = await fetchEx(url.replace('status=503', 'status=200'), {
+            extension: {
+                logger,
+                redact: ['page'],
+            },
+        });
+
+        expect(plain.extension.stats.ok)
+            .to.include('token=secret&page=[REDACTED]');
+        expect(events.at(-1)[0])
+            .to.equal('info');
+    });
+
+    it('should record phase timings of each run', async () => {
+
+        const agent = new agentKeepAlive();
+        const url = context.testRequestURL({text: 'x'.repeat(1000)});
+
+        const response = await fetchEx(url, {
+            extension: {
+                agent,
+            },
+        });
+
+        const {stats} = response.extension;
+        const {timings} = stats.lastRun;
+
+        expect(timings)
+            .to.include.keys('dns', 'tcp', 'tls', 'ttfb', 'total');
+        expect(timings.tls)
+            .to.equal(0);
+
+        await response.text();
+
+        expect(timings.download)
+            .to.be.a('number');
+        expect(stats.totalFetchTime)
+            .to.equal(stats.lastRun.time + timings.download);
+
+        const reused = await fetchEx(url, {
+            extension: {
+                agent,
+            },
+        });
+
+        await reused.text();
+
+        expect(reused.extension.stats.lastRun.timings)
+            .to.include({dns: 0, tcp: 0, tls: 0});
+
+        agent.destroy();
+    });
+
+    it('should export attempts as HAR with toHAR() and harRecorder', async () => {
+
+        harRecorder.start({
+            maxBodySize: 5,
+        });
+
+        const url = context.testRequestURL({status: 503, text: 'Unavailable', token: 'secret'});
+
+        const response = await fetchEx(url, {
+            method: 'PUT',
+            body: 'payload',
+            headers: {
+                authorization: 'Bearer secret',
+                'content-type': mimeTypes.text,
+            },
+            extension: {
+                debug: true,
+                retry: {
+                    delay: 0,
+                },
+            },
+        });
+
+        expect(await response.text())
+            .to.equal('Unavailable');
+
+        const har = await response.extension.toHAR();
+        const [first, second] = har.log.entries;
+
+        expect(har.log.version)
+            .to.equal('1.2');
+        expect(har.log.entries.map(it => [it._attempt, it._retryable, it.response.status]))
+            .to.eql([[1, true, 503], [2, true, 503]]);
+        expect(first.request)
+            .to.deep.include({
+                method: 'PUT',
+                url: url.replace('token=secret', 'token=[REDACTED]'),
+                postData: {
+                    mimeType: mimeTypes.text,
+                    text: 'paylo',
+                    comment: 'Body truncated',
+                },
+            });
+        expect(first.request.headers)
+            .to.deep.include({name: 'authorization', value: '[REDACTED]'});
+        expect(first.request.queryString)
+            .to.deep.include({name: 'token', value: '[REDACTED]'});
+        expect(second.response.content)
+            .to.include({
+                size: -1,
+                text: 'Unava',
+                comment: 'Body truncated',
+            });
+        expect(second.timings)
+            .to.include.keys('blocked', 'dns', 'connect', 'ssl', 'send', 'wait', 'receive');
+
+        await expect(fetchEx('http://localhost:1/refused', {
+            extension: {
+                retry: {
+                    limit: 0,
+                },
+            },
+        }))
+            .to.be.rejected;
+
+        const recorded = await harRecorder.stop();
+
+        harRecorder.clear();
+
+        expect(recorded.log.entries.map(it => it.response.status))
+            .to.eql([503, 503, 0]);
+        expect(recorded.log.entries[2]._error)
+            .to.include('ECONNREFUSED');
+        expect((await harRecorder.toHAR()).log.entries)
+            .to.eql([]);
+    });
+
+    it('should record and replay fixtures with createReplayTransport()', async () => {
+
+        const dir = await mkdtemp(join(tmpdir(), 'fetch-replay-'));
+        let sent = 0;
+
+        const transport = request => {
+            sent++;
+            return fetch(request);
+        };
+
+        const url = context.testRequestURL({
+            status: 503,
+            text: 'Unavailable',
+            headers: JSON.stringify({
+                'set-cookie': 'session=1',
+            }),
+        });
+        const echoURL = `${context.server.origin}/echo`;
+        const slowURL = context.testRequestURL({delay: 200});
+
+        const run = async mode => {
+
+            const options = {
+                extension: {
+                    transport: createReplayTransport({dir, mode, strict: true, transport}),
+                    retry: {
+                        delay: 0,
+                    },
+                },
+            };
+
+            const response = await fetchEx(url, cloneDeep(options));
+            const echoes = await Promise.all(['a', 'b'].map(async body => {
+                const echo = await fetchEx(echoURL, {
+                    method: 'POST',
+                    body,
+                    ...cloneDeep(options),
+                });
+                return echo.text();
+            }));
+
+            let stats;
+
+            await expect(fetchEx(slowURL, {
+                extension: {
+                    ...cloneDeep(options.extension),
+                    timeout: 50,
+                    retry: {
+                        limit: 0,
+                    },
+                    onComplete(runStats) {
+                        stats = runStats;
+                    },
+                },
+            }))
+                .to.be.rejectedWith(/aborted/);
+
+            return {
+                echoes,
+                fail: stats.fail,
+                response,
+                text: await response.text(),
+            };
+        };
+
+        const recorded = await run('record');
+
+        expect(sent)
+            .to.equal(5);
+
+        const replayed = await run('replay');
+
+        expect(sent)
+            .to.equal(5);
+        expect(replayed.response.extension.stats.fail)
+            .to.equal(recorded.response.extension.stats.fail);
+        expect(replayed.response.extension.stats.runs.map(it => it.status))
+            .to.eql([503, 503]);
+        expect([replayed.text, replayed.echoes])
+            .to.eql(['Unavailable', ['a', 'b']]);
+        expect(replayed.response.headers.get('set-cookie'))
+            .to.equal('[REDACTED]');
+        expect(replayed.fail)
+            .to.include('failed with AbortError (Timeout <50 ms>) after 1 attempt');
+
+        expect((await readdir(dir)).filter(it => it.startsWith('GET-localhost-request-')))
+            .to.have.lengthOf(2);
+
+        await expect(fetchEx(context.testRequestURL({text: 'unrecorded'}), {
+            extension: {
+                transport: createReplayTransport({dir, mode: 'replay', strict: true}),
+            },
+        }))
+            .to.be.rejectedWith(ReplayMissError, /No fixture for GET/);
+
+        // Network errors replay as node-fetch errors.
+        const refused = async mode => {
+
+            try {
+                await fetchEx('http://localhost:1/', {
+                    extension: {
+                        transport: createReplayTransport({dir, mode, strict: true}),
+                        retry: {
+                            limit: 0,
+                        },
+                    },
+                });
+            }
+            catch (error) {
+                return [error.constructor, error.type, error.code, error.errno];
+            }
+        };
+
+        expect(await refused('record'))
+            .to.eql([FetchError, 'system', 'ECONNREFUSED', 'ECONNREFUSED']);
+        expect(await refused('replay'))
+            .to.eql([FetchError, 'system', 'ECONNREFUSED', 'ECONNREFUSED']);
+
+        await rm(dir, {recursive: true});
+    });
+
+    it('should accept a custom agent as supported by node-fetch', async () => {
+
+        const agents = {
+            http: new agentKeepAlive(),
+            https: new agentKeepAlive
+                .HttpsAgent(),
+        };
+
+        const agentResolver = url => (url.protocol === 'https:')
+            ? agents.https
+            : agents.http;
+
+        const url = context
+            .testRequestURL();
+
+        const fetches = Array(5)
+            .fill()
+            .map(() => fetchEx(url, {
+                extension: {
+                    agent: agentResolver,
+                    log: {
+                        // eslint-disable-next-line no-console
+                        ok: console.log,
+                    },
+                },
+            }));
+
+        await Promise.all(fetches);
+
+        expect(agents.http.getCurrentStatus())
+            .to.eql({
+                closeSocketCount: 0,
+                createSocketCount: 5,
+                createSocketErrorCount: 0,
+                errorSocketCount: 0,
+                freeSockets: {'localhost:8080:': 5},
+                requestCount: 5,
+                requests: {},
+                sockets: {},
+                timeoutSocketCount: 0,
+            });
+
+        const optionsAgent = new agentKeepAlive();
+
+        const response = await fetchEx(url, {
+            agent: optionsAgent,
+        });
+
+        expect(optionsAgent.getCurrentStatus().requestCount)
+            .to.equal(1);
+        expect(response.extension.stats.lastRun.timings)
+            .to.include.keys('dns', 'tcp', 'ttfb');
+    });
+
+    it('should support extension.json', async () => {
+
+        const sourceData = {
+            foo: 1,
+        };
+
+        const url = context
+            .testRequestURL({
+                json: JSON.stringify(sourceData),
+            });
+
+        const request = () => fetchEx(url, {
+            method: 'POST',
+            extension: {
+                json: sourceData,
+                debug: true,
+            },
+        });
+
+        const response = await request();
         const source = response.extension.stats.lastRun.request;
 
         const requestHeaders = source.headers;
@@ -279,6 +2262,216 @@ describe('fetchEx()', () => {
     });
 });
 
+describe('response.extension.body() validation', () => {
+
+    it('should validate body against extension.schema', async () => {
+
+        const url = context.testRequestURL({
+            json: JSON.stringify({id: 1, tags: ['a', 2]}),
+        });
+
+        const rejectTag = {
+            path: ['tags', 1],
+            message: 'Expected string',
+        };
+
+        // Ajv compiled validator shape.
+        const ajvLike = defineProperty(() => false, 'errors', {
+            value: [{
+                instancePath: '/tags/1',
+                message: 'must be string',
+            }],
+        });
+
+        const samples = [
+            [
+                {
+                    parse() {
+                        throw assign(new Error('Invalid'), {issues: [rejectTag]});
+                    },
+                },
+                [{path: ['tags', '1'], message: 'Expected string'}],
+            ],
+            [
+                ajvLike,
+                [{path: ['tags', '1'], message: 'must be string'}],
+            ],
+            [
+                {
+                    validate: async () => ({error: {details: [{path: ['id'], message: 'Invalid id'}]}}),
+                },
+                [{path: ['id'], message: 'Invalid id'}],
+            ],
+        ];
+
+        for (const [schema, issues] of samples) {
+
+            const failures = [];
+            const response = await fetchEx(url, {
+                extension: {
+                    schema,
+                    log: {
+                        fail: message => failures.push(message),
+                    },
+                },
+            });
+
+            const error = await response.extension.body()
+                .catch(error => error);
+
+            expect(error)
+                .to.be.instanceOf(ResponseValidationError);
+            expect(error.issues)
+                .to.eql(issues);
+            expect(error.stats.validation.issues)
+                .to.eql(issues);
+            expect(failures)
+                .to.eql([error.stats.fail]);
+            expect(error.stats.fail)
+                .to.include('returned a body that failed validation with 1 issue');
+        }
+
+        const response = await fetchEx(url, {
+            extension: {
+                schema: {
+                    parse: body => ({...body, parsed: true}),
+                },
+            },
+        });
+
+        expect(await response.extension.body())
+            .to.eql({id: 1, tags: ['a', 2], parsed: true});
+    });
+});
+
+describe('createClient()', () => {
+
+    it('should resolve base URL and merge default options', async () => {
+
+        const client = createClient({
+            baseURL: context.server.origin,
+            headers: {
+                authorization: 'Bearer token',
+                'x-client': 'default',
+            },
+            extension: {
+                debug: true,
+                retry: {
+                    limit: 2,
+                    delay: 0,
+                },
+            },
+        });
+
+        const response = await client.get('/request?status=500', {
+            headers: {
+                'x-client': 'override',
+            },
+            extension: {
+                retry: {
+                    limit: 1,
+                },
+            },
+        });
+
+        const {stats} = response.extension;
+        const {request} = stats.lastRun;
+
+        expect(response.url)
+            .to.equal(context.testRequestURL({status: 500}));
+        expect(request.method)
+            .to.equal('GET');
+        expect(Object.fromEntries(request.headers.entries()))
+            .to.include({
+                authorization: '[REDACTED]',
+                'x-client': 'override',
+            });
+        expect(stats.runs.length)
+            .to.equal(2);
+        expect(stats.runs[1].delay)
+            .to.equal(0);
+
+        // Defaults are not mutated by calls.
+        expect(client.defaults.extension.retry)
+            .to.eql({limit: 2, delay: 0});
+    });
+
+    it('should create derived clients with extend()', async () => {
+
+        const client = createClient({
+            baseURL: 'https://localhost-must-not-exist.com',
+            headers: {
+                'x-client': 'base',
+            },
+        });
+
+        const derived = client.extend({
+            baseURL: context.server.origin,
+            extension: {
+                json: {foo: 1},
+            },
+        });
+
+        const response = await derived.post('request?json=true');
+
+        expect(derived.baseURL)
+            .to.equal(context.server.origin);
+        expect(derived.defaults.headers.get('x-client'))
+            .to.equal('base');
+        expect(response.status)
+            .to.equal(200);
+        expect(await response.extension.body())
+            .to.equal(true);
+        expect(client.baseURL)
+            .to.equal('https://localhost-must-not-exist.com');
+    });
+
+    it('should pass instances by reference without mutating defaults', async () => {
+
+        class Logger {
+            #events = [];
+            get events() {
+                return this.#events;
+            }
+            info(it) {
+                this.#events.push(it.outcome);
+            }
+        }
+
+        const logger = new Logger();
+
+        const client = createClient({
+            baseURL: context.server.origin,
+            extension: {
+                logger,
+                onComplete() {},
+                retry: {
+                    shouldRetry: () => undefined,
+                },
+            },
+        });
+
+        const defaults = cloneDeep(client.defaults);
+
+        await client.post('/echo', {
+            extension: {
+                json: {a: 1},
+                retry: {
+                    limit: 0,
+                },
+                timeout: '1 s',
+            },
+        });
+
+        expect(logger.events)
+            .to.eql(['ok']);
+        expect(client.defaults)
+            .to.eql(defaults);
+        expect(client.defaults.extension.logger)
+            .to.equal(logger);
+    });
+});
+
 describe('response.extension.body()', () => {
 
     it('should infer and execute body parser', async () => {
@@ -305,4 +2498,81 @@ describe('response.extension.body()', () => {
                 .to.equal(expected);
         }
     });
+
+    it('should select body parser by media type, suffix and charset', async () => {
+
+        const samples = [
+            [
+                ['{"title":"Not Found"}', 'application/problem+json'],
+                {title: 'Not Found'},
+            ],
+            [
+                ['{"data":[]}', 'application/vnd.api+json; charset=utf-8'],
+                {data: []},
+            ],
+            [
+                ['{"a":1}\n{"a":2}\n', mimeTypes.ndjson],
+                [{a: 1}, {a: 2}],
+            ],
+            [
+                ['name,note\r\n"Smith, J","said ""hi"""\r\n', `${mimeTypes.csv}; header=present`],
+                [['name', 'note'], ['Smith, J', 'said "hi"']],
+            ],
+            [
+                [Buffer.from('caf\xe9', 'latin1'), 'text/plain; charset="ISO-8859-1"'],
+                'café',
+            ],
+            [
+                ['hello', 'application/x-custom'],
+                'custom:hello',
+            ],
+        ];
+
+        const respondWith = (body, type) => ({
+            hooks: {
+                afterResponse: [
+                    () => new Response(body, {
+                        headers: {
+                            'content-type': type,
+                        },
+                    }),
+                ],
+            },
+        });
+
+        for (const [[body, type], expected] of samples) {
+
+            const response = await fetchEx(context.testRequestURL(), {
+                extension: {
+                    parsers: {
+                        'application/x-custom': async response => `custom:${await response.text()}`,
+                    },
+                    ...respondWith(body, type),
+                },
+            });
+
+            expect(await response.extension.body())
+                .to.eql(expected);
+        }
+
+        const formResponse = await fetchEx(context.testRequestURL(), {
+            extension: respondWith('a=1&a=2&b=3', mimeTypes.formUrlEncoded),
+        });
+
+        const form = await formResponse.extension.body();
+
+        expect(form.getAll('a'))
+            .to.eql(['1', '2']);
+
+        const imageResponse = await fetchEx(context.testRequestURL(), {
+            extension: respondWith(Buffer.from([1, 2, 3]), mimeTypes.png),
+        });
+
+        const image = await imageResponse.extension.body();
+
+        expect(image.size)
+            .to.equal(3);
+        expect(image.type)
+            .to.equal(mimeTypes.png);
+    });
 });